@@ -3,6 +3,4 @@ import { createVitestConfig } from '../../../vitest.base';
 
 export default createVitestConfig({
   // Package-specific overrides
-  outputFile:
-    '../../../reports/packages/calculators/calculation-types/vitest-unit-test.xml',
 });
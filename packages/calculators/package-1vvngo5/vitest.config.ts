@@ -3,6 +3,4 @@ import { createVitestConfig } from '../../../vitest.base';
 
 export default createVitestConfig({
   // Package-specific overrides
-  outputFile:
-    '../../../reports/packages/calculators/normal-minimum-pension-age/vitest-unit-test.xml',
 });
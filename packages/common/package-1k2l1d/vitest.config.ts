@@ -3,5 +3,4 @@ import { createVitestConfig } from '../../../vitest.base';
 
 export default createVitestConfig({
   // Package-specific overrides
-  outputFile: '../../../reports/packages/common/has-date/vitest-unit-test.xml',
 });
@@ -0,0 +1,215 @@
+/**
+ * Workspace configuration for the anonymizer scripts.
+ *
+ * An optional .anonymizerrc JSON file at the workspace root decides which
+ * files of each package the anonymizer touches and how it names things:
+ *
+ *   {
+ *     "include": ["src/**", "*.json"],
+ *     "exclude": ["src/generated/**"],
+ *     "keep": ["README.md", "src/data/rates.json"],
+ *     "testFiles": ["src/**\/*.test.ts"],
+ *     "testDirectories": ["test", "e2e"],
+ *     "names": { "package": "pkg-{hash}", "test": "case_{index}" }
+ *   }
+ *
+ * Globs are relative to the package root and match paths as they were
+ * before anonymization. (`\/` is JSON for `/`, escaped here only to keep
+ * this comment open.)
+ *
+ * - `include`: files the anonymizer may rewrite, rename or delete
+ *   (default: everything). Other files are left as they are.
+ * - `exclude`: files and directories never visited, in addition to
+ *   node_modules, dist and .git.
+ * - `keep`: files kept verbatim: never rewritten, renamed or deleted.
+ * - `testFiles`: files replaced with test skeletons (default: the files
+ *   the `test.include` and `test.exclude` globs of the package's Vitest
+ *   config select, so the anonymizer finds the same tests Vitest runs).
+ * - `testDirectories`: cucumber suite directories (default: any `test`).
+ * - `names`: templates for new names, including `target` for the parts of
+ *   project.json target names that name the package or its files.
+ *   `{hash}` is a hash of the original name, `{index}` a counter, `{kind}`
+ *   the kind of cucumber node and `{suffix}` the original suffix of a test
+ *   file, like `.test.tsx`, or of a step file, like `.steps.ts`.
+ */
+
+const fs = require('fs');
+const { matchesAnyGlob } = require('./anonymize-workspace');
+
+const DEFAULT_CONFIG_PATH = '.anonymizerrc';
+
+// Directories no traversal ever enters
+const ALWAYS_EXCLUDED = ['**/node_modules', '**/dist', '**/.git'];
+
+const DEFAULT_CONFIG = {
+  include: ['**'],
+  exclude: [],
+  keep: [],
+  testFiles: null,
+  testDirectories: ['**/test'],
+  names: {
+    package: 'package-{hash}',
+    directory: 'dir-{hash}',
+    testFile: 'test-{hash}{suffix}',
+    featureFile: 'feature-{hash}.feature',
+    stepFile: 'steps-{hash}{suffix}',
+    test: 'test_{index}',
+    cucumber: '{kind}_{index}',
+    target: 'target-{hash}',
+  },
+};
+
+// Placeholders each template needs so that its names can be unique
+const REQUIRED_PLACEHOLDERS = {
+  package: ['hash'],
+  directory: ['hash'],
+  testFile: ['hash'],
+  featureFile: ['hash'],
+  stepFile: ['hash'],
+  test: ['index'],
+  cucumber: ['kind', 'index'],
+  target: ['hash'],
+};
+
+const GLOB_OPTIONS = [
+  'include',
+  'exclude',
+  'keep',
+  'testFiles',
+  'testDirectories',
+];
+
+// Load the config file merged over the defaults, or the defaults if the
+// file does not exist
+function loadConfig(configPath) {
+  if (!fs.existsSync(configPath)) {
+    return DEFAULT_CONFIG;
+  }
+
+  let fileConfig;
+  try {
+    fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${configPath}: ${error.message}`);
+  }
+  return mergeConfig(fileConfig, configPath);
+}
+
+// Check a config object and merge it over the defaults
+function mergeConfig(fileConfig, source) {
+  if (
+    !fileConfig ||
+    typeof fileConfig !== 'object' ||
+    Array.isArray(fileConfig)
+  ) {
+    throw new Error(`${source} must contain a JSON object`);
+  }
+
+  for (const key of Object.keys(fileConfig)) {
+    if (!GLOB_OPTIONS.includes(key) && key !== 'names') {
+      throw new Error(`Unknown option "${key}" in ${source}`);
+    }
+  }
+  for (const key of GLOB_OPTIONS) {
+    const globs = fileConfig[key];
+    if (
+      globs !== undefined &&
+      (!Array.isArray(globs) || globs.some((glob) => typeof glob !== 'string'))
+    ) {
+      throw new Error(`"${key}" in ${source} must be an array of globs`);
+    }
+  }
+
+  const names = { ...DEFAULT_CONFIG.names };
+  for (const [kind, template] of Object.entries(fileConfig.names || {})) {
+    if (!(kind in REQUIRED_PLACEHOLDERS)) {
+      throw new Error(`Unknown name template "${kind}" in ${source}`);
+    }
+    if (typeof template !== 'string' || !/^[\w.{}-]+$/.test(template)) {
+      throw new Error(
+        `Name template "${kind}" in ${source} may only use letters, digits, _, -, . and placeholders`,
+      );
+    }
+    const missing = REQUIRED_PLACEHOLDERS[kind].filter(
+      (placeholder) => !template.includes(`{${placeholder}}`),
+    );
+    if (missing.length > 0) {
+      throw new Error(
+        `Name template "${kind}" in ${source} needs ${missing.map((placeholder) => `{${placeholder}}`).join(' and ')}`,
+      );
+    }
+    names[kind] = template;
+  }
+
+  return {
+    include: fileConfig.include || DEFAULT_CONFIG.include,
+    exclude: [...DEFAULT_CONFIG.exclude, ...(fileConfig.exclude || [])],
+    keep: fileConfig.keep || DEFAULT_CONFIG.keep,
+    testFiles: fileConfig.testFiles || DEFAULT_CONFIG.testFiles,
+    testDirectories:
+      fileConfig.testDirectories || DEFAULT_CONFIG.testDirectories,
+    names,
+  };
+}
+
+// Fill in the {placeholders} of a name template
+function formatName(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) =>
+    key in values ? String(values[key]) : placeholder,
+  );
+}
+
+// Whether a package-relative path matches any of the globs, as itself or,
+// for a directory, as the directory its contents are in
+function matchesPath(relativePath, globs, isDirectory) {
+  return (
+    matchesAnyGlob(relativePath, globs) ||
+    (isDirectory && matchesAnyGlob(`${relativePath}/`, globs))
+  );
+}
+
+// Whether no traversal should visit a package-relative path
+function isExcludedPath(config, relativePath, isDirectory) {
+  return matchesPath(
+    relativePath,
+    [...ALWAYS_EXCLUDED, ...config.exclude],
+    isDirectory,
+  );
+}
+
+// Whether the anonymizer may change a package-relative file
+function isIncludedFile(config, relativePath) {
+  return (
+    matchesAnyGlob(relativePath, config.include) &&
+    !matchesAnyGlob(relativePath, config.keep) &&
+    !isExcludedPath(config, relativePath, false)
+  );
+}
+
+// Whether a package-relative file must be kept as it is
+function isKeptFile(config, relativePath) {
+  return !isIncludedFile(config, relativePath);
+}
+
+// Whether a package-relative file is a test file
+function isTestFile(config, relativePath) {
+  return matchesAnyGlob(relativePath, config.testFiles);
+}
+
+// Whether a package-relative directory holds a cucumber suite
+function isTestDirectory(config, relativePath) {
+  return matchesAnyGlob(relativePath, config.testDirectories);
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  DEFAULT_CONFIG,
+  loadConfig,
+  mergeConfig,
+  formatName,
+  isExcludedPath,
+  isIncludedFile,
+  isKeptFile,
+  isTestFile,
+  isTestDirectory,
+};
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_CONFIG,
+  loadConfig,
+  mergeConfig,
+  formatName,
+  isExcludedPath,
+  isIncludedFile,
+  isTestFile,
+  isTestDirectory,
+} = require('./anonymize-config');
+
+describe('mergeConfig', () => {
+  it('merges the options over the defaults', () => {
+    const config = mergeConfig(
+      {
+        exclude: ['src/generated/**'],
+        testFiles: ['src/**/*.test.ts'],
+        names: { package: 'pkg-{hash}' },
+      },
+      '.anonymizerrc',
+    );
+
+    expect(config).toEqual({
+      ...DEFAULT_CONFIG,
+      exclude: ['src/generated/**'],
+      testFiles: ['src/**/*.test.ts'],
+      names: { ...DEFAULT_CONFIG.names, package: 'pkg-{hash}' },
+    });
+  });
+
+  it.each([
+    [[], '.anonymizerrc must contain a JSON object'],
+    [null, '.anonymizerrc must contain a JSON object'],
+    [{ inclde: ['src/**'] }, 'Unknown option "inclde" in .anonymizerrc'],
+    [
+      { include: 'src/**' },
+      '"include" in .anonymizerrc must be an array of globs',
+    ],
+    [{ keep: [1] }, '"keep" in .anonymizerrc must be an array of globs'],
+    [
+      { names: { module: 'mod-{hash}' } },
+      'Unknown name template "module" in .anonymizerrc',
+    ],
+    [
+      { names: { package: 'pkg/{hash}' } },
+      'Name template "package" in .anonymizerrc may only use letters, digits, _, -, . and placeholders',
+    ],
+    [
+      { names: { test: 7 } },
+      'Name template "test" in .anonymizerrc may only use letters, digits, _, -, . and placeholders',
+    ],
+    [
+      { names: { directory: 'dir-{index}' } },
+      'Name template "directory" in .anonymizerrc needs {hash}',
+    ],
+    [
+      { names: { cucumber: 'node' } },
+      'Name template "cucumber" in .anonymizerrc needs {kind} and {index}',
+    ],
+  ])('rejects %j', (fileConfig, message) => {
+    expect(() => mergeConfig(fileConfig, '.anonymizerrc')).toThrow(message);
+  });
+});
+
+describe('loadConfig', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anonymizer-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('uses the defaults without a config file', () => {
+    expect(loadConfig(path.join(dir, '.anonymizerrc'))).toBe(DEFAULT_CONFIG);
+  });
+
+  it('rejects invalid JSON', () => {
+    const configPath = path.join(dir, '.anonymizerrc');
+    fs.writeFileSync(configPath, '{ include: [] }');
+
+    expect(() => loadConfig(configPath)).toThrow(
+      `Invalid JSON in ${configPath}:`,
+    );
+  });
+});
+
+describe('formatName', () => {
+  it('fills in the placeholders it has values for', () => {
+    expect(
+      formatName('{kind}_{index}{suffix}', { kind: 'scenario', index: 0 }),
+    ).toBe('scenario_0{suffix}');
+  });
+});
+
+describe('isIncludedFile', () => {
+  const config = mergeConfig(
+    {
+      include: ['src/**', '*.json'],
+      exclude: ['src/generated/**'],
+      keep: ['src/data/rates.json'],
+    },
+    '.anonymizerrc',
+  );
+
+  it.each([
+    ['src/lib/cart.ts', true],
+    ['project.json', true],
+    ['README.md', false],
+    // keep wins over include
+    ['src/data/rates.json', false],
+    // exclude wins over include
+    ['src/generated/client.ts', false],
+  ])('%s: %s', (relativePath, included) => {
+    expect(isIncludedFile(config, relativePath)).toBe(included);
+  });
+
+  it('excludes a directory and everything in it', () => {
+    expect(isExcludedPath(config, 'src/generated', true)).toBe(true);
+    expect(isExcludedPath(config, 'src/generated/client.ts', false)).toBe(true);
+    expect(isExcludedPath(config, 'src/node_modules', true)).toBe(true);
+    expect(isExcludedPath(config, 'src/lib', true)).toBe(false);
+  });
+});
+
+describe('isTestFile and isTestDirectory', () => {
+  it('match the configured globs', () => {
+    const config = mergeConfig(
+      { testFiles: ['src/**/*.test.ts'], testDirectories: ['e2e'] },
+      '.anonymizerrc',
+    );
+
+    expect(isTestFile(config, 'src/lib/cart.test.ts')).toBe(true);
+    expect(isTestFile(config, 'src/cart.test.ts')).toBe(true);
+    expect(isTestFile(config, 'src/lib/cart.ts')).toBe(false);
+    expect(isTestDirectory(config, 'e2e')).toBe(true);
+    expect(isTestDirectory(config, 'test')).toBe(false);
+  });
+});
@@ -0,0 +1,428 @@
+/**
+ * Cucumber suite skeletons for the anonymizer scripts.
+ *
+ * parseFeatureFile reads a Gherkin .feature file into its features, rules,
+ * backgrounds, scenarios, steps and Examples tables. parseStepDefinitions
+ * reads a step definition file with the TypeScript compiler API and returns
+ * the steps and hooks it defines. The render functions turn both back into
+ * files with the same structure: the same scenarios and Examples table
+ * sizes, where every title is replaced by the `name` the caller assigns and
+ * every step definition and hook body is a no-op. Tags are written as the
+ * caller leaves them; renameTags renames the tags of a tag expression, other
+ * than the ones that only change how a scenario runs, like `@skip`.
+ *
+ * Step data tables, doc strings and descriptions are dropped, since they
+ * only hold the original data.
+ */
+
+const ts = require('typescript');
+const { parseSourceFile } = require('./anonymize-imports');
+
+const STEP_FUNCTIONS = new Set(['Given', 'When', 'Then', 'defineStep', 'Step']);
+const HOOK_FUNCTIONS = new Set([
+  'Before',
+  'After',
+  'BeforeAll',
+  'AfterAll',
+  'BeforeStep',
+  'AfterStep',
+]);
+
+// Longer keywords first, so `Scenario Outline` is not read as `Scenario`
+const BLOCK_KEYWORD_PATTERN =
+  /^(Feature|Rule|Background|Scenario Outline|Scenario Template|Scenarios|Scenario|Examples|Example):\s*(.*)$/;
+const STEP_KEYWORD_PATTERN = /^(Given|When|Then|And|But|\*)\s+(.*)$/;
+
+// Tags that change how a scenario runs rather than say what it is about
+const RUN_TAGS = new Set([
+  '@skip',
+  '@only',
+  '@ignore',
+  '@wip',
+  '@focus',
+  '@todo',
+  '@pending',
+  '@manual',
+  '@slow',
+  '@flaky',
+]);
+
+// Regular expressions for the built-in cucumber expression parameter types.
+// Custom parameter types match anything.
+const PARAMETER_PATTERNS = {
+  int: '-?\\d+',
+  float: '-?\\d*\\.?\\d+',
+  double: '-?\\d*\\.?\\d+',
+  bigdecimal: '-?\\d*\\.?\\d+',
+  biginteger: '-?\\d+',
+  byte: '-?\\d+',
+  short: '-?\\d+',
+  long: '-?\\d+',
+  word: '[^\\s]+',
+  string: '"[^"]*"|\'[^\']*\'',
+  '': '.*',
+};
+
+// Split a table row like `| a | b |` into its cells
+function parseTableRow(line) {
+  return line
+    .replace(/^\|/, '')
+    .replace(/\|\s*$/, '')
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim());
+}
+
+// Read a Gherkin file into a tree of feature, rule, background, scenario,
+// step and examples nodes
+function parseFeatureFile(filePath, content) {
+  const warnings = [];
+  const features = [];
+  let tags = [];
+  let feature = null;
+  let rule = null;
+  let scenario = null;
+  let examples = null;
+  let docStringDelimiter = null;
+
+  content.split('\n').forEach((line, index) => {
+    const trimmed = line.trim();
+
+    if (docStringDelimiter) {
+      if (trimmed.startsWith(docStringDelimiter)) {
+        docStringDelimiter = null;
+      }
+      return;
+    }
+    if (trimmed.startsWith('"""') || trimmed.startsWith('```')) {
+      docStringDelimiter = trimmed.slice(0, 3);
+      return;
+    }
+    if (trimmed === '' || trimmed.startsWith('#')) {
+      return;
+    }
+    if (trimmed.startsWith('@')) {
+      tags.push(
+        ...trimmed
+          .replace(/\s#.*$/, '')
+          .split(/\s+/)
+          .filter((tag) => tag.startsWith('@')),
+      );
+      return;
+    }
+
+    const block = trimmed.match(BLOCK_KEYWORD_PATTERN);
+    if (block) {
+      const [, keyword, title] = block;
+      const node = { keyword, title, tags, children: [] };
+      tags = [];
+
+      if (keyword === 'Feature') {
+        feature = { kind: 'feature', ...node };
+        features.push(feature);
+        rule = null;
+        scenario = null;
+        examples = null;
+      } else if (!feature) {
+        warnings.push(
+          `${filePath}:${index + 1}: ${keyword} outside a Feature, skipping it`,
+        );
+      } else if (keyword === 'Rule') {
+        rule = { kind: 'rule', ...node };
+        feature.children.push(rule);
+        scenario = null;
+        examples = null;
+      } else if (keyword === 'Examples' || keyword === 'Scenarios') {
+        if (!scenario || scenario.kind !== 'scenario') {
+          warnings.push(
+            `${filePath}:${index + 1}: Examples outside a Scenario Outline, skipping them`,
+          );
+          examples = null;
+          return;
+        }
+        examples = { kind: 'examples', ...node, header: null, rows: [] };
+        scenario.children.push(examples);
+      } else {
+        scenario = {
+          kind: keyword === 'Background' ? 'background' : 'scenario',
+          ...node,
+        };
+        (rule || feature).children.push(scenario);
+        examples = null;
+      }
+      return;
+    }
+
+    const step = trimmed.match(STEP_KEYWORD_PATTERN);
+    if (step && scenario) {
+      scenario.children.push({ kind: 'step', keyword: step[1], text: step[2] });
+      examples = null;
+      return;
+    }
+
+    if (trimmed.startsWith('|') && examples) {
+      if (examples.header) {
+        examples.rows.push(parseTableRow(trimmed));
+      } else {
+        examples.header = parseTableRow(trimmed);
+      }
+    }
+
+    // Anything else is a description or a step data table
+  });
+
+  if (features.length === 0) {
+    warnings.push(`${filePath}: no Feature found`);
+  }
+  return { features, warnings };
+}
+
+// Visit every node of the parsed features depth-first, in file order
+function walkFeatureNodes(nodes, visit) {
+  for (const node of nodes) {
+    visit(node);
+    if (node.children) {
+      walkFeatureNodes(node.children, visit);
+    }
+  }
+}
+
+// Step texts as cucumber sees them, with the placeholders of a Scenario
+// Outline filled in from its first Examples row
+function expandStepTexts(scenario) {
+  const steps = scenario.children.filter((child) => child.kind === 'step');
+  const examples = scenario.children.find(
+    (child) => child.kind === 'examples' && child.header && child.rows.length,
+  );
+  if (!examples) {
+    return steps.map((step) => ({ step, text: step.text }));
+  }
+
+  const [firstRow] = examples.rows;
+  return steps.map((step) => ({
+    step,
+    text: step.text.replace(/<([^>]+)>/g, (placeholder, column) => {
+      const columnIndex = examples.header.indexOf(column);
+      return columnIndex === -1 ? placeholder : firstRow[columnIndex];
+    }),
+  }));
+}
+
+// Render parsed features as a .feature file, using the names assigned to
+// each feature, rule, scenario, step and examples node
+function renderFeatureFile(features) {
+  const lines = [];
+
+  function pushTags(tags, indent) {
+    if (tags.length > 0) {
+      lines.push(`${indent}${tags.join(' ')}`);
+    }
+  }
+
+  function renderNode(node, depth) {
+    const indent = '  '.repeat(depth);
+    if (node.kind === 'step') {
+      lines.push(`${indent}${node.keyword} ${node.name}`);
+      return;
+    }
+    if (node.kind === 'examples') {
+      lines.push('');
+      pushTags(node.tags, indent);
+      lines.push(`${indent}${node.keyword}:`);
+      if (node.header) {
+        const columns = node.header.map((_, index) => `column_${index}`);
+        lines.push(`${indent}  | ${columns.join(' | ')} |`);
+        node.rows.forEach((_, rowIndex) =>
+          lines.push(
+            `${indent}  | ${columns.map(() => rowIndex).join(' | ')} |`,
+          ),
+        );
+      }
+      return;
+    }
+
+    if (node.kind !== 'feature') {
+      lines.push('');
+    }
+    pushTags(node.tags, indent);
+    lines.push(
+      node.kind === 'background'
+        ? `${indent}${node.keyword}:`
+        : `${indent}${node.keyword}: ${node.name}`,
+    );
+    node.children.forEach((child) => renderNode(child, depth + 1));
+  }
+
+  features.forEach((feature, index) => {
+    if (index > 0) {
+      lines.push('');
+    }
+    renderNode(feature, 0);
+  });
+  return lines.join('\n') + '\n';
+}
+
+// Escape text for use in a regular expression
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Convert one word of a cucumber expression, with its parameters and
+// optional text, to a regular expression
+function convertExpressionWord(word) {
+  let source = '';
+  for (let index = 0; index < word.length; index++) {
+    const char = word[index];
+    if (char === '\\') {
+      source += escapeRegExp(word[++index] || '');
+    } else if (char === '{' && word.includes('}', index)) {
+      const end = word.indexOf('}', index);
+      source += `(?:${PARAMETER_PATTERNS[word.slice(index + 1, end)] || '.*'})`;
+      index = end;
+    } else if (char === '(' && word.includes(')', index)) {
+      const end = word.indexOf(')', index);
+      source += `(?:${escapeRegExp(word.slice(index + 1, end))})?`;
+      index = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return source;
+}
+
+// Convert a cucumber expression to a regular expression. Alternatives like
+// `is/are` apply to the word they are written in.
+function cucumberExpressionToRegExp(expression) {
+  const source = expression
+    .split(/(\s+)/)
+    .map((word) => {
+      if (/^\s+$/.test(word)) {
+        return escapeRegExp(word);
+      }
+      const alternatives = word.split(/(?<!\\)\/(?![^{]*\})/);
+      return alternatives.length > 1
+        ? `(?:${alternatives.map(convertExpressionWord).join('|')})`
+        : convertExpressionWord(word);
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+// Rename the tags of a tag, a tag list or a tag expression like
+// `@a and not (@b or @c)`, keeping the ones in RUN_TAGS
+function renameTags(expression, rename) {
+  return expression.replace(/@[^\s()]+/g, (tag) =>
+    RUN_TAGS.has(tag.toLowerCase()) ? tag : rename(tag),
+  );
+}
+
+// Read the steps and hooks a step definition file defines, in source order
+function parseStepDefinitions(filePath, content) {
+  const sourceFile = parseSourceFile(filePath, content);
+  const steps = [];
+  const hooks = [];
+
+  function visit(node) {
+    if (ts.isCallExpression(node) && ts.isIdentifier(node.expression)) {
+      const fn = node.expression.text;
+      const [firstArgument] = node.arguments;
+
+      if (STEP_FUNCTIONS.has(fn) && firstArgument) {
+        if (ts.isStringLiteralLike(firstArgument)) {
+          steps.push({
+            fn,
+            pattern: firstArgument.text,
+            matcher: cucumberExpressionToRegExp(firstArgument.text),
+          });
+          return;
+        }
+        if (ts.isRegularExpressionLiteral(firstArgument)) {
+          const literal = firstArgument.text;
+          const flagsStart = literal.lastIndexOf('/');
+          steps.push({
+            fn,
+            pattern: literal,
+            matcher: new RegExp(
+              literal.slice(1, flagsStart),
+              literal.slice(flagsStart + 1),
+            ),
+          });
+          return;
+        }
+      }
+
+      if (HOOK_FUNCTIONS.has(fn)) {
+        // Tag expressions decide which scenarios a hook runs for, so keep them
+        let tags = null;
+        if (firstArgument && ts.isStringLiteralLike(firstArgument)) {
+          tags = firstArgument.text;
+        } else if (
+          firstArgument &&
+          ts.isObjectLiteralExpression(firstArgument)
+        ) {
+          const tagsProperty = firstArgument.properties.find(
+            (property) =>
+              ts.isPropertyAssignment(property) &&
+              property.name.getText(sourceFile) === 'tags' &&
+              ts.isStringLiteralLike(property.initializer),
+          );
+          tags = tagsProperty ? tagsProperty.initializer.text : null;
+        }
+        hooks.push({ fn, tags });
+        return;
+      }
+    }
+
+    ts.forEachChild(node, visit);
+  }
+
+  visit(sourceFile);
+  return { steps, hooks };
+}
+
+// Find the first step definition whose pattern matches the step text
+function matchStepDefinition(definitions, text) {
+  return (
+    definitions.find((definition) => definition.matcher.test(text)) || null
+  );
+}
+
+// Render step definitions and hooks as a file of no-op definitions, using
+// the name assigned to each step definition as its expression
+function renderStepDefinitions(filePath, { steps, hooks }) {
+  const functions = [
+    ...new Set([...hooks, ...steps].map((definition) => definition.fn)),
+  ];
+  const lines = [
+    /\.c?js$/.test(filePath)
+      ? `const { ${functions.join(', ')} } = require('@cucumber/cucumber');`
+      : `import { ${functions.join(', ')} } from '@cucumber/cucumber';`,
+    '',
+  ];
+
+  for (const hook of hooks) {
+    lines.push(
+      hook.tags === null
+        ? `${hook.fn}(function () {});`
+        : `${hook.fn}('${hook.tags.replace(/[\\']/g, '\\$&')}', function () {});`,
+    );
+  }
+  if (hooks.length > 0 && steps.length > 0) {
+    lines.push('');
+  }
+  for (const step of steps) {
+    lines.push(`${step.fn}('${step.name}', function () {});`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  parseFeatureFile,
+  walkFeatureNodes,
+  expandStepTexts,
+  renderFeatureFile,
+  renameTags,
+  parseStepDefinitions,
+  matchStepDefinition,
+  renderStepDefinitions,
+};
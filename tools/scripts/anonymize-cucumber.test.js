@@ -0,0 +1,363 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  parseFeatureFile,
+  walkFeatureNodes,
+  expandStepTexts,
+  renderFeatureFile,
+  renameTags,
+  parseStepDefinitions,
+  matchStepDefinition,
+  renderStepDefinitions,
+} = require('./anonymize-cucumber');
+const { anonymizePackage } = require('./anonymize-package');
+const {
+  PACKAGES,
+  createTestWorkspace,
+  removeTestWorkspace,
+  readJson,
+  createSilentLogger,
+} = require('./test-workspace');
+
+const FEATURE_FILE = `@payroll @slow
+Feature: Monthly payroll
+  Payslips for every employee.
+
+  Background:
+    Given an employee earning 1000 a month
+
+  @income-tax
+  Scenario: Net pay after tax
+    When the payroll runs
+    Then the net pay is 800
+
+  Rule: Pensions
+
+    Scenario Outline: Pension contribution of <rate> percent
+      Given an employee earning <gross> a month
+      When the payroll runs with:
+        | pension | <rate> |
+      Then the pension is "<pension>"
+
+      @income-tax
+      Examples: Low earners
+        | gross | rate | pension |
+        | 1000  | 5    | 50      |
+        | 2000  | 5    | 100     |
+
+      Examples: High earners
+        | gross | rate | pension |
+        | 9000  | 8    | 720     |
+
+  Scenario: Payslip text
+    Then the payslip reads:
+      """
+      Net pay: 800
+      """
+`;
+
+const STEPS_FILE = `
+import { Before, After, Given, When, Then } from '@cucumber/cucumber';
+import { runPayroll } from '../support/payroll';
+
+Before('@income-tax and not @slow', function () {
+  this.taxTable = loadTaxTable();
+});
+
+After(function () {
+  this.reset();
+});
+
+Given('an employee earning {int} a month', function (gross) {
+  this.gross = gross;
+});
+
+When(/^the payroll runs( with:)?$/, function () {
+  runPayroll(this);
+});
+
+Then('the net pay is {int}', function (net) {});
+
+Then('the pension is {string}', function (pension) {});
+
+Then('the payslip read(s):', function () {});
+`;
+
+// The steps of every scenario and background, as cucumber expands them
+function stepTexts(features) {
+  const texts = [];
+  walkFeatureNodes(features, (node) => {
+    if (node.kind === 'scenario' || node.kind === 'background') {
+      texts.push(...expandStepTexts(node).map(({ text }) => text));
+    }
+  });
+  return texts;
+}
+
+// The scenarios of parsed features, with the size of each Examples table
+function describeScenarios(features) {
+  const scenarios = [];
+  walkFeatureNodes(features, (node) => {
+    if (node.kind === 'scenario') {
+      scenarios.push(
+        node.children
+          .filter((child) => child.kind === 'examples')
+          .map((examples) => [examples.header.length, examples.rows.length]),
+      );
+    }
+  });
+  return scenarios;
+}
+
+describe('parseFeatureFile', () => {
+  it('reads features, rules, scenarios and Examples tables', () => {
+    const { features, warnings } = parseFeatureFile(
+      'payroll.feature',
+      FEATURE_FILE,
+    );
+
+    expect(warnings).toEqual([]);
+    expect(features).toHaveLength(1);
+    expect(features[0]).toMatchObject({
+      title: 'Monthly payroll',
+      tags: ['@payroll', '@slow'],
+    });
+    expect(features[0].children.map((child) => child.kind)).toEqual([
+      'background',
+      'scenario',
+      'rule',
+    ]);
+    expect(features[0].children[2].children).toHaveLength(2);
+    expect(describeScenarios(features)).toEqual([
+      [],
+      [
+        [3, 2],
+        [3, 1],
+      ],
+      [],
+    ]);
+    expect(features[0].children[1].tags).toEqual(['@income-tax']);
+  });
+
+  it('fills in Scenario Outline steps from the first Examples row', () => {
+    const { features } = parseFeatureFile('payroll.feature', FEATURE_FILE);
+
+    expect(stepTexts(features)).toEqual([
+      'an employee earning 1000 a month',
+      'the payroll runs',
+      'the net pay is 800',
+      'an employee earning 1000 a month',
+      'the payroll runs with:',
+      'the pension is "50"',
+      'the payslip reads:',
+    ]);
+  });
+
+  it('warns about Examples outside a Scenario Outline', () => {
+    const { warnings } = parseFeatureFile(
+      'broken.feature',
+      'Feature: Broken\n  Examples:\n    | a |\n',
+    );
+
+    expect(warnings).toEqual([
+      'broken.feature:2: Examples outside a Scenario Outline, skipping them',
+    ]);
+  });
+});
+
+describe('parseStepDefinitions', () => {
+  const { steps, hooks } = parseStepDefinitions('payroll.steps.ts', STEPS_FILE);
+
+  it('reads steps and hooks with their tag expressions', () => {
+    expect(steps.map(({ fn, pattern }) => [fn, pattern])).toEqual([
+      ['Given', 'an employee earning {int} a month'],
+      ['When', '/^the payroll runs( with:)?$/'],
+      ['Then', 'the net pay is {int}'],
+      ['Then', 'the pension is {string}'],
+      ['Then', 'the payslip read(s):'],
+    ]);
+    expect(hooks).toEqual([
+      { fn: 'Before', tags: '@income-tax and not @slow' },
+      { fn: 'After', tags: null },
+    ]);
+  });
+
+  it.each([
+    ['an employee earning 1000 a month', 0],
+    ['an employee earning -5 a month', 0],
+    ['an employee earning lots a month', null],
+    ['the payroll runs', 1],
+    ['the payroll runs with:', 1],
+    ['the net pay is 800', 2],
+    ['the pension is "50"', 3],
+    ["the pension is '50'", 3],
+    ['the pension is 50', null],
+    ['the payslip read:', 4],
+    ['the payslip reads:', 4],
+  ])('matches "%s" to step %s', (text, index) => {
+    expect(matchStepDefinition(steps, text)).toBe(
+      index === null ? null : steps[index],
+    );
+  });
+
+  it('matches every step of the feature file', () => {
+    const { features } = parseFeatureFile('payroll.feature', FEATURE_FILE);
+
+    for (const text of stepTexts(features)) {
+      expect(matchStepDefinition(steps, text), text).not.toBeNull();
+    }
+  });
+});
+
+describe('renameTags', () => {
+  it('renames the tags of an expression, but not the ones for running', () => {
+    expect(
+      renameTags('@income-tax and not (@Skip or @payroll)', (tag) =>
+        tag.toUpperCase(),
+      ),
+    ).toBe('@INCOME-TAX and not (@Skip or @PAYROLL)');
+  });
+});
+
+describe('renderFeatureFile and renderStepDefinitions', () => {
+  // Parse both files and name their nodes like the anonymizer
+  function renderSkeletons() {
+    const { features } = parseFeatureFile('payroll.feature', FEATURE_FILE);
+    const definitions = parseStepDefinitions('payroll.steps.ts', STEPS_FILE);
+    definitions.steps.forEach((step, index) => {
+      step.name = `step_${index}`;
+    });
+
+    let index = 0;
+    walkFeatureNodes(features, (node) => {
+      if (['feature', 'rule', 'scenario'].includes(node.kind)) {
+        node.name = `${node.kind}_${index++}`;
+      }
+      if (node.kind === 'scenario' || node.kind === 'background') {
+        for (const { step, text } of expandStepTexts(node)) {
+          step.name = matchStepDefinition(definitions.steps, text).name;
+        }
+      }
+    });
+
+    return {
+      feature: renderFeatureFile(features),
+      steps: renderStepDefinitions('payroll.steps.ts', definitions),
+    };
+  }
+
+  it('keeps the scenarios, Examples table sizes and tags', () => {
+    const { feature } = renderSkeletons();
+    const { features, warnings } = parseFeatureFile('skeleton', feature);
+
+    expect(warnings).toEqual([]);
+    expect(describeScenarios(features)).toEqual([
+      [],
+      [
+        [3, 2],
+        [3, 1],
+      ],
+      [],
+    ]);
+    expect(features[0]).toMatchObject({
+      title: 'feature_0',
+      tags: ['@payroll', '@slow'],
+    });
+    expect(feature).not.toMatch(/payroll runs|Net pay|earning|Pensions/);
+  });
+
+  it('writes no-op steps and hooks that the renamed steps still match', () => {
+    const { feature, steps } = renderSkeletons();
+
+    expect(steps).toBe(
+      [
+        "import { Before, After, Given, When, Then } from '@cucumber/cucumber';",
+        '',
+        "Before('@income-tax and not @slow', function () {});",
+        'After(function () {});',
+        '',
+        "Given('step_0', function () {});",
+        "When('step_1', function () {});",
+        "Then('step_2', function () {});",
+        "Then('step_3', function () {});",
+        "Then('step_4', function () {});",
+        '',
+      ].join('\n'),
+    );
+
+    const definitions = parseStepDefinitions('skeleton.steps.ts', steps);
+    const { features } = parseFeatureFile('skeleton', feature);
+    expect(stepTexts(features)).toEqual([
+      'step_0',
+      'step_1',
+      'step_2',
+      'step_0',
+      'step_1',
+      'step_3',
+      'step_4',
+    ]);
+    for (const text of stepTexts(features)) {
+      expect(matchStepDefinition(definitions.steps, text).pattern).toBe(text);
+    }
+  });
+});
+
+describe('anonymizePackage with keepCucumber', () => {
+  const testDir = `${PACKAGES.payroll}/test`;
+  let workspaceRoot;
+  let result;
+
+  beforeEach(() => {
+    workspaceRoot = createTestWorkspace({
+      [`${testDir}/features/payroll.feature`]: FEATURE_FILE,
+      [`${testDir}/steps/payroll.steps.ts`]: STEPS_FILE,
+      [`${testDir}/support/payroll.ts`]:
+        'export const runPayroll = () => {};\n',
+    });
+    result = anonymizePackage(PACKAGES.payroll, {
+      workspaceRoot,
+      keepCucumber: true,
+      logger: createSilentLogger(),
+    });
+  });
+
+  afterEach(() => {
+    removeTestWorkspace(workspaceRoot);
+  });
+
+  // The anonymized file an original file was renamed to, with its mapping
+  function findFile(originalPath) {
+    const { packages } = readJson(workspaceRoot, '.anonymizer/mapping.json');
+    const [newPath, file] = Object.entries(
+      packages[result.packages[0].newPath].files,
+    ).find(([, entry]) => entry.path === originalPath);
+    return {
+      content: fs.readFileSync(path.join(workspaceRoot, newPath), 'utf8'),
+      names: file.names,
+    };
+  }
+
+  it('gives each tag one new name in features and hooks', () => {
+    const feature = findFile(`${testDir}/features/payroll.feature`);
+    const steps = findFile(`${testDir}/steps/payroll.steps.ts`);
+
+    expect(feature.content).toMatch(/^@tag_0 @slow\nFeature: feature_0\n/);
+    expect(feature.content.match(/@tag_1\n/g)).toHaveLength(2);
+    expect(steps.content).toContain(
+      "Before('@tag_1 and not @slow', function () {});",
+    );
+    expect(feature.content + steps.content).not.toMatch(/@payroll|@income/);
+  });
+
+  it('records the tags so they can be traced back', () => {
+    const tagsOf = (file) => file.names.filter(({ kind }) => kind === 'tag');
+
+    expect(tagsOf(findFile(`${testDir}/features/payroll.feature`))).toEqual([
+      { kind: 'tag', name: '@tag_0', original: '@payroll' },
+      { kind: 'tag', name: '@tag_1', original: '@income-tax' },
+    ]);
+    expect(tagsOf(findFile(`${testDir}/steps/payroll.steps.ts`))).toEqual([
+      { kind: 'tag', name: '@tag_1', original: '@income-tax' },
+    ]);
+  });
+});
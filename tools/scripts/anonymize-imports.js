@@ -0,0 +1,303 @@
+/**
+ * Module specifier scanning for the anonymizer scripts.
+ *
+ * Uses the TypeScript compiler API to find every module specifier in a
+ * file: static imports of any form (named, default, namespace, type-only and
+ * side-effect), re-exports, dynamic import(), require(), import('...')
+ * types and the vi.mock() family. Specifiers can then be resolved to files
+ * or rewritten in place without touching the rest of the source.
+ *
+ * replaceStringLiterals does the same for every string literal in a file,
+ * including JSON keys and values.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+
+// vi.* calls whose first argument is a module path
+const VI_MODULE_METHODS = new Set([
+  'mock',
+  'doMock',
+  'unmock',
+  'doUnmock',
+  'importActual',
+  'importMock',
+]);
+
+// Extensions tried, in order, when resolving an extensionless specifier
+const RESOLVE_EXTENSIONS = [
+  '.ts',
+  '.tsx',
+  '.d.ts',
+  '.mts',
+  '.cts',
+  '.js',
+  '.jsx',
+  '.mjs',
+  '.cjs',
+  '.json',
+];
+
+// TypeScript sources may import their compiled .js name
+const SOURCE_EXTENSIONS = {
+  '.js': ['.ts', '.tsx'],
+  '.jsx': ['.tsx'],
+  '.mjs': ['.mts'],
+  '.cjs': ['.cts'],
+};
+
+// Parse a file, picking the script kind from its extension
+function parseSourceFile(filePath, content) {
+  let scriptKind = ts.ScriptKind.TS;
+  if (/\.[cm]?tsx$/.test(filePath)) {
+    scriptKind = ts.ScriptKind.TSX;
+  } else if (filePath.endsWith('.jsx')) {
+    scriptKind = ts.ScriptKind.JSX;
+  } else if (/\.[cm]?js$/.test(filePath)) {
+    scriptKind = ts.ScriptKind.JS;
+  } else if (filePath.endsWith('.json')) {
+    scriptKind = ts.ScriptKind.JSON;
+  }
+
+  return ts.createSourceFile(
+    filePath,
+    content,
+    ts.ScriptTarget.Latest,
+    true,
+    scriptKind,
+  );
+}
+
+// Describe one string literal module specifier
+function toSpecifier(sourceFile, literal, kind, typeOnly = false) {
+  return {
+    specifier: literal.text,
+    kind,
+    typeOnly,
+    // Offsets of the text between the quotes
+    start: literal.getStart(sourceFile) + 1,
+    end: literal.getEnd() - 1,
+  };
+}
+
+// Find every module specifier in a file, in source order. Each has a kind
+// of import, export, dynamic-import, require, mock or import-type.
+function findModuleSpecifiers(filePath, content) {
+  const sourceFile = parseSourceFile(filePath, content);
+  const specifiers = [];
+
+  function visit(node) {
+    if (
+      ts.isImportDeclaration(node) &&
+      ts.isStringLiteral(node.moduleSpecifier)
+    ) {
+      specifiers.push(
+        toSpecifier(
+          sourceFile,
+          node.moduleSpecifier,
+          'import',
+          Boolean(node.importClause && node.importClause.isTypeOnly),
+        ),
+      );
+    } else if (
+      ts.isExportDeclaration(node) &&
+      node.moduleSpecifier &&
+      ts.isStringLiteral(node.moduleSpecifier)
+    ) {
+      specifiers.push(
+        toSpecifier(
+          sourceFile,
+          node.moduleSpecifier,
+          'export',
+          node.isTypeOnly,
+        ),
+      );
+    } else if (
+      ts.isImportEqualsDeclaration(node) &&
+      ts.isExternalModuleReference(node.moduleReference) &&
+      ts.isStringLiteral(node.moduleReference.expression)
+    ) {
+      specifiers.push(
+        toSpecifier(
+          sourceFile,
+          node.moduleReference.expression,
+          'import',
+          node.isTypeOnly,
+        ),
+      );
+    } else if (
+      ts.isImportTypeNode(node) &&
+      ts.isLiteralTypeNode(node.argument) &&
+      ts.isStringLiteral(node.argument.literal)
+    ) {
+      specifiers.push(
+        toSpecifier(sourceFile, node.argument.literal, 'import-type', true),
+      );
+    } else if (ts.isCallExpression(node) && node.arguments.length > 0) {
+      const [firstArgument] = node.arguments;
+      if (ts.isStringLiteralLike(firstArgument)) {
+        const kind = getCallKind(node.expression);
+        if (kind) {
+          specifiers.push(toSpecifier(sourceFile, firstArgument, kind));
+        }
+      }
+    }
+
+    ts.forEachChild(node, visit);
+  }
+
+  visit(sourceFile);
+  return specifiers;
+}
+
+// Kind of a call whose first argument is a module path, or null
+function getCallKind(expression) {
+  if (expression.kind === ts.SyntaxKind.ImportKeyword) {
+    return 'dynamic-import';
+  }
+  if (ts.isIdentifier(expression) && expression.text === 'require') {
+    return 'require';
+  }
+  if (
+    ts.isPropertyAccessExpression(expression) &&
+    ts.isIdentifier(expression.expression) &&
+    expression.expression.text === 'vi' &&
+    VI_MODULE_METHODS.has(expression.name.text)
+  ) {
+    return 'mock';
+  }
+  return null;
+}
+
+// Replace module specifiers in a file's content. `replace` is called with
+// each specifier and returns the new specifier text, or null to keep it.
+function replaceModuleSpecifiers(filePath, content, replace) {
+  const specifiers = findModuleSpecifiers(filePath, content);
+  let updated = content;
+
+  // Work backwards so earlier offsets stay valid
+  for (const entry of [...specifiers].reverse()) {
+    const replacement = replace(entry);
+    if (replacement !== null && replacement !== entry.specifier) {
+      updated =
+        updated.slice(0, entry.start) + replacement + updated.slice(entry.end);
+    }
+  }
+
+  return updated;
+}
+
+// Replace the text of every string literal and template literal chunk in a
+// file. `replace` is called with the raw text between the delimiters and
+// returns its replacement.
+function replaceStringLiterals(filePath, content, replace) {
+  const sourceFile = parseSourceFile(filePath, content);
+  const ranges = [];
+
+  function visit(node) {
+    const start = node.getStart(sourceFile);
+    const end = node.getEnd();
+    if (ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node)) {
+      ranges.push([start + 1, end - 1]);
+    } else if (ts.isTemplateHead(node) || ts.isTemplateMiddle(node)) {
+      // Chunks up to the next `${`
+      ranges.push([start + 1, end - 2]);
+    } else if (ts.isTemplateTail(node)) {
+      ranges.push([start + 1, end - 1]);
+    }
+
+    ts.forEachChild(node, visit);
+  }
+
+  visit(sourceFile);
+
+  let updated = content;
+  for (const [start, end] of ranges.reverse()) {
+    updated =
+      updated.slice(0, start) +
+      replace(updated.slice(start, end)) +
+      updated.slice(end);
+  }
+  return updated;
+}
+
+// Names declared at the top level of a file: functions, classes,
+// interfaces, type aliases, enums, namespaces and variables
+function findDeclaredNames(filePath, content) {
+  const sourceFile = parseSourceFile(filePath, content);
+  const names = [];
+
+  function addBindingNames(name) {
+    if (ts.isIdentifier(name)) {
+      names.push(name.text);
+    } else {
+      name.elements.forEach(
+        (element) =>
+          !ts.isOmittedExpression(element) && addBindingNames(element.name),
+      );
+    }
+  }
+
+  for (const statement of sourceFile.statements) {
+    if (ts.isVariableStatement(statement)) {
+      statement.declarationList.declarations.forEach((declaration) =>
+        addBindingNames(declaration.name),
+      );
+    } else if (
+      (ts.isFunctionDeclaration(statement) ||
+        ts.isClassDeclaration(statement) ||
+        ts.isInterfaceDeclaration(statement) ||
+        ts.isTypeAliasDeclaration(statement) ||
+        ts.isEnumDeclaration(statement) ||
+        ts.isModuleDeclaration(statement)) &&
+      statement.name &&
+      ts.isIdentifier(statement.name)
+    ) {
+      names.push(statement.name.text);
+    }
+  }
+
+  return names;
+}
+
+// Whether a specifier is a relative or absolute path rather than a package
+function isPathSpecifier(specifier) {
+  return specifier.startsWith('.') || specifier.startsWith('/');
+}
+
+// Resolve a path specifier to a file, or null if nothing matches. `exists`
+// can be swapped to resolve against a layout that is not on disk.
+function resolveModuleFile(fromDir, specifier, exists = isFile) {
+  const basePath = path.resolve(fromDir, specifier);
+  const candidates = [basePath];
+
+  const extension = path.extname(basePath);
+  for (const sourceExtension of SOURCE_EXTENSIONS[extension] || []) {
+    candidates.push(basePath.slice(0, -extension.length) + sourceExtension);
+  }
+  for (const resolveExtension of RESOLVE_EXTENSIONS) {
+    candidates.push(basePath + resolveExtension);
+  }
+  for (const resolveExtension of RESOLVE_EXTENSIONS) {
+    candidates.push(path.join(basePath, 'index' + resolveExtension));
+  }
+
+  return candidates.find((candidate) => exists(candidate)) || null;
+}
+
+// Whether a path is an existing file
+function isFile(filePath) {
+  return fs.existsSync(filePath) && fs.statSync(filePath).isFile();
+}
+
+module.exports = {
+  parseSourceFile,
+  findModuleSpecifiers,
+  replaceModuleSpecifiers,
+  replaceStringLiterals,
+  findDeclaredNames,
+  isPathSpecifier,
+  resolveModuleFile,
+  isFile,
+};
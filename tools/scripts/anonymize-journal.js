@@ -0,0 +1,150 @@
+/**
+ * Rollback journal for the anonymizer scripts.
+ *
+ * Before a run changes a file or directory, the change is appended to a
+ * journal (default: .anonymizer/journal/journal.ndjson), along with a backup
+ * of anything it overwrites. Deleted files and directories are moved into
+ * the backups instead of being removed. rollbackJournal undoes the changes
+ * in reverse order, so a run that fails partway leaves the workspace as it
+ * found it. commitJournal throws the journal away once a run has finished.
+ *
+ * The first line of the journal describes the run, so a run whose process
+ * died before it could roll back can be rolled back and started again
+ * later. Backups hold original files, so the journal is kept next to the
+ * private name mapping and must never be published.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_JOURNAL_DIR = '.anonymizer/journal';
+
+const JOURNAL_FILE_NAME = 'journal.ndjson';
+const BACKUP_DIR_NAME = 'backups';
+
+// Start a journal in journalDir for a run, described by a JSON-serializable
+// object. Callers check with loadJournal that no earlier journal is left;
+// backups without a journal file are from a run that never started.
+function createJournal(journalDir, run) {
+  fs.rmSync(journalDir, { recursive: true, force: true });
+  fs.mkdirSync(path.join(journalDir, BACKUP_DIR_NAME), { recursive: true });
+  fs.writeFileSync(
+    path.join(journalDir, JOURNAL_FILE_NAME),
+    JSON.stringify({ run }) + '\n',
+    'utf8',
+  );
+  return { dir: journalDir, run, entries: [] };
+}
+
+// Load the journal an interrupted run left in journalDir, or null if there
+// is none. A last line cut off by the interruption is ignored.
+function loadJournal(journalDir) {
+  const journalPath = path.join(journalDir, JOURNAL_FILE_NAME);
+  if (!fs.existsSync(journalPath)) {
+    return null;
+  }
+
+  const lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+  const [header, ...entryLines] = lines.filter(Boolean);
+  const entries = [];
+  for (const line of entryLines) {
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      break;
+    }
+  }
+  return { dir: journalDir, run: JSON.parse(header).run, entries };
+}
+
+// Append an entry to the journal file before the change it describes
+function appendEntry(journal, entry) {
+  journal.entries.push(entry);
+  fs.appendFileSync(
+    path.join(journal.dir, JOURNAL_FILE_NAME),
+    JSON.stringify(entry) + '\n',
+    'utf8',
+  );
+}
+
+// Path of the next backup in the journal
+function nextBackupPath(journal) {
+  return path.join(BACKUP_DIR_NAME, String(journal.entries.length));
+}
+
+// Move a file or directory, copying it when it is on another device
+function movePath(fromPath, toPath) {
+  try {
+    fs.renameSync(fromPath, toPath);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    fs.cpSync(fromPath, toPath, { recursive: true });
+    fs.rmSync(fromPath, { recursive: true, force: true });
+  }
+}
+
+// Record that a file or directory is about to be written, backing up what
+// is there now
+function recordWrite(journal, targetPath) {
+  let backup = null;
+  if (fs.existsSync(targetPath)) {
+    backup = nextBackupPath(journal);
+    fs.cpSync(targetPath, path.join(journal.dir, backup), { recursive: true });
+  }
+  appendEntry(journal, { type: 'write', path: targetPath, backup });
+}
+
+// Record that a file or directory is about to be renamed
+function recordRename(journal, fromPath, toPath) {
+  appendEntry(journal, { type: 'rename', from: fromPath, to: toPath });
+}
+
+// Delete a file or directory by moving it into the journal's backups
+function removeToBackup(journal, targetPath) {
+  const backup = nextBackupPath(journal);
+  appendEntry(journal, { type: 'delete', path: targetPath, backup });
+  movePath(targetPath, path.join(journal.dir, backup));
+}
+
+// Undo every change in the journal, newest first, then remove the journal.
+// Changes the run never got to make are skipped.
+function rollbackJournal(journal) {
+  for (const entry of [...journal.entries].reverse()) {
+    if (entry.type === 'rename') {
+      if (fs.existsSync(entry.to) && !fs.existsSync(entry.from)) {
+        fs.renameSync(entry.to, entry.from);
+      }
+      continue;
+    }
+
+    const backupPath = entry.backup && path.join(journal.dir, entry.backup);
+    if (entry.type === 'write') {
+      fs.rmSync(entry.path, { recursive: true, force: true });
+      if (backupPath && fs.existsSync(backupPath)) {
+        fs.cpSync(backupPath, entry.path, { recursive: true });
+      }
+    } else if (fs.existsSync(backupPath)) {
+      fs.mkdirSync(path.dirname(entry.path), { recursive: true });
+      movePath(backupPath, entry.path);
+    }
+  }
+  commitJournal(journal);
+}
+
+// Remove the journal of a run that finished or was rolled back
+function commitJournal(journal) {
+  fs.rmSync(journal.dir, { recursive: true, force: true });
+}
+
+module.exports = {
+  DEFAULT_JOURNAL_DIR,
+  createJournal,
+  loadJournal,
+  recordWrite,
+  recordRename,
+  removeToBackup,
+  rollbackJournal,
+  commitJournal,
+};
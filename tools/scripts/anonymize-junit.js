@@ -0,0 +1,151 @@
+/**
+ * JUnit report reading for the anonymizer scripts.
+ *
+ * Vitest writes one <testcase> per test run, with the test file relative to
+ * the package root as its classname and the suite and test titles joined by
+ * " > " as its name. matchTestCases uses them to find how each test in a
+ * parsed test file ended: passed, failed or skipped, and for `each` tests,
+ * which of the rows failed. The time of each run, in seconds, is kept too.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// Decode the entities in an XML attribute value
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      return String.fromCodePoint(
+        code[1].toLowerCase() === 'x'
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10),
+      );
+    }
+    return XML_ENTITIES[code] || entity;
+  });
+}
+
+// Read the attributes of an XML start tag
+function parseAttributes(text) {
+  const attributes = {};
+  for (const [, name, value] of text.matchAll(/([\w:-]+)="([^"]*)"/g)) {
+    attributes[name] = decodeXml(value);
+  }
+  return attributes;
+}
+
+// Read every test case in a JUnit report, in report order
+function parseJUnitReport(content) {
+  const testCases = [];
+  for (const [, attributeText, body = ''] of content.matchAll(
+    /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g,
+  )) {
+    const attributes = parseAttributes(attributeText);
+    testCases.push({
+      classname: attributes.classname || '',
+      name: attributes.name || '',
+      time: Number(attributes.time) || 0,
+      status: /<(failure|error)\b/.test(body)
+        ? 'failed'
+        : /<skipped\b/.test(body)
+          ? 'skipped'
+          : 'passed',
+    });
+  }
+  return testCases;
+}
+
+// Read the test cases of every JUnit report below a directory, grouped by
+// classname. Returns an empty map if the directory does not exist.
+function readJUnitReports(reportsDir) {
+  const testCasesByFile = new Map();
+  if (!fs.existsSync(reportsDir)) {
+    return testCasesByFile;
+  }
+
+  for (const entry of fs.readdirSync(reportsDir, {
+    withFileTypes: true,
+    recursive: true,
+  })) {
+    if (!entry.isFile() || !entry.name.endsWith('.xml')) {
+      continue;
+    }
+    const content = fs.readFileSync(
+      path.join(entry.parentPath || entry.path, entry.name),
+      'utf8',
+    );
+    for (const testCase of parseJUnitReport(content)) {
+      if (!testCasesByFile.has(testCase.classname)) {
+        testCasesByFile.set(testCase.classname, []);
+      }
+      testCasesByFile.get(testCase.classname).push(testCase);
+    }
+  }
+  return testCasesByFile;
+}
+
+// Build a pattern for the reported names of a title. `each` titles are
+// formatted per row, so their printf tokens and $variables match anything.
+function titlePattern(title, isEach) {
+  const escaped = title.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (!isEach) {
+    return escaped;
+  }
+  return escaped
+    .replace(/%%/g, '%')
+    .replace(/%[sdifjoOc#$]/g, '.*')
+    .replace(/\\\$[\w.]+/g, '.*');
+}
+
+// Set the `outcome` of every test node to how its runs in the report ended:
+// whether all of them were skipped, the indexes of the rows that failed
+// (just 0 for a test without an `each` table) and the time of each run.
+// Tests missing from the report are left without an outcome.
+function matchTestCases(nodes, testCases) {
+  const unmatched = [...testCases];
+
+  function visit(children, parentPatterns) {
+    for (const node of children) {
+      if (node.kind === 'hook') {
+        continue;
+      }
+
+      const patterns = [
+        ...parentPatterns,
+        titlePattern(node.title, node.each !== null),
+      ];
+      if (node.kind === 'suite') {
+        visit(node.children, patterns);
+        continue;
+      }
+
+      const nameRegex = new RegExp(`^${patterns.join(' > ')}$`);
+      const runs = unmatched.filter((testCase) =>
+        nameRegex.test(testCase.name),
+      );
+      runs.forEach((run) => unmatched.splice(unmatched.indexOf(run), 1));
+      if (runs.length === 0) {
+        continue;
+      }
+
+      node.outcome = {
+        skipped: runs.every((run) => run.status === 'skipped'),
+        failed: runs.flatMap((run, index) =>
+          run.status === 'failed' ? [index] : [],
+        ),
+        times: runs.map((run) => run.time),
+      };
+    }
+  }
+
+  visit(nodes, []);
+  return nodes;
+}
+
+module.exports = {
+  parseJUnitReport,
+  readJUnitReports,
+  matchTestCases,
+};
@@ -0,0 +1,130 @@
+/**
+ * Private name mapping shared by the anonymizer scripts.
+ *
+ * anonymize-package.js records how each package, directory, test file,
+ * test name and project.json target was renamed, and deanonymize.js reads
+ * it back to map a path from the shared repro to the original code. The
+ * mapping reveals every original name, so it lives in a git-ignored
+ * directory by default and must never be published with the anonymized
+ * tree.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAPPING_PATH = '.anonymizer/mapping.json';
+
+const MAPPING_VERSION = 1;
+
+// Load the mapping file, or an empty mapping if it does not exist yet
+function loadMapping(mappingPath) {
+  if (!fs.existsSync(mappingPath)) {
+    return { version: MAPPING_VERSION, packages: {} };
+  }
+
+  const mapping = JSON.parse(fs.readFileSync(mappingPath, 'utf8'));
+  if (mapping.version !== MAPPING_VERSION) {
+    throw new Error(
+      `Unsupported mapping version ${mapping.version} in ${mappingPath}`,
+    );
+  }
+  return mapping;
+}
+
+// Write the mapping file, creating its directory if needed
+function saveMapping(mappingPath, mapping) {
+  fs.mkdirSync(path.dirname(mappingPath), { recursive: true });
+  fs.writeFileSync(
+    mappingPath,
+    JSON.stringify(mapping, null, 2) + '\n',
+    'utf8',
+  );
+}
+
+// Add or replace the entry for one anonymized package
+function addPackageMapping(mapping, entry) {
+  mapping.packages[entry.newPath] = entry;
+}
+
+// Whether a path is the given directory or inside it
+function isWithin(filePath, dirPath) {
+  return filePath === dirPath || filePath.startsWith(dirPath + '/');
+}
+
+// Map a workspace-relative anonymized path back to the original path.
+// Returns null if no anonymized package contains the path.
+function resolveOriginalPath(mapping, anonymizedPath) {
+  const packageEntry = Object.values(mapping.packages).find((entry) =>
+    isWithin(anonymizedPath, entry.newPath),
+  );
+  if (!packageEntry) {
+    return null;
+  }
+
+  const file = packageEntry.files[anonymizedPath];
+  if (file) {
+    return { package: packageEntry, path: file.path, file };
+  }
+
+  // Use the deepest renamed directory containing the path
+  const directory = Object.keys(packageEntry.directories)
+    .filter((newDir) => isWithin(anonymizedPath, newDir))
+    .sort((a, b) => b.length - a.length)[0];
+  const [fromPath, toPath] = directory
+    ? [directory, packageEntry.directories[directory]]
+    : [packageEntry.newPath, packageEntry.path];
+
+  return {
+    package: packageEntry,
+    path: toPath + anonymizedPath.slice(fromPath.length),
+    file: null,
+  };
+}
+
+// Build a function that replaces original names in text with their
+// anonymized names, using only what the anonymizer renamed: package import
+// paths, and the workspace paths of packages, directories and test files.
+// A path below a renamed directory follows it. Names only match as whole
+// path segments, so `packages/shop/cart` matches in
+// `/home/me/repo/packages/shop/cart/src` but not in `packages/shop/cart-v2`
+// or `packages/shop/cart.md`, and bare package names are never replaced.
+function createNameScrubber(packageEntries) {
+  const replacements = new Map();
+  for (const entry of packageEntries) {
+    replacements.set(entry.path, entry.newPath);
+    if (entry.importPath) {
+      replacements.set(entry.importPath, entry.newImportPath);
+    }
+    for (const [newDir, originalDir] of Object.entries(entry.directories)) {
+      replacements.set(originalDir, newDir);
+    }
+    for (const [newPath, file] of Object.entries(entry.files)) {
+      replacements.set(file.path, newPath);
+    }
+  }
+
+  const originals = [...replacements.keys()]
+    .filter((original) => original && replacements.get(original) !== original)
+    .sort((a, b) => b.length - a.length);
+  if (originals.length === 0) {
+    return (text) => text;
+  }
+
+  const namesRegex = new RegExp(
+    `(?<![\\w.@-])(?:${originals
+      .map((original) => original.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|')})(?![\\w-]|\\.\\w)`,
+    'g',
+  );
+  return (text) =>
+    text.replace(namesRegex, (original) => replacements.get(original));
+}
+
+module.exports = {
+  DEFAULT_MAPPING_PATH,
+  loadMapping,
+  saveMapping,
+  addPackageMapping,
+  resolveOriginalPath,
+  createNameScrubber,
+};
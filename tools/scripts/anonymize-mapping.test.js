@@ -0,0 +1,78 @@
+const {
+  resolveOriginalPath,
+  createNameScrubber,
+} = require('./anonymize-mapping');
+
+const ENTRY = {
+  name: 'cart',
+  newName: 'package-abc',
+  path: 'packages/shop/cart',
+  newPath: 'packages/shop/package-abc',
+  importPath: '@shop/cart',
+  newImportPath: '@anonymized/package-abc',
+  directories: {
+    'packages/shop/package-abc/src/dir-1': 'packages/shop/cart/src/lib',
+    'packages/shop/package-abc/src/dir-1/dir-2':
+      'packages/shop/cart/src/lib/prices',
+  },
+  files: {
+    'packages/shop/package-abc/src/dir-1/test-1.test.ts': {
+      path: 'packages/shop/cart/src/lib/cart.test.ts',
+      names: [],
+    },
+  },
+};
+
+describe('resolveOriginalPath', () => {
+  it('maps renamed test files, directories and packages back', () => {
+    const mapping = { packages: { [ENTRY.newPath]: ENTRY } };
+
+    expect(
+      resolveOriginalPath(
+        mapping,
+        'packages/shop/package-abc/src/dir-1/test-1.test.ts',
+      ).path,
+    ).toBe('packages/shop/cart/src/lib/cart.test.ts');
+    expect(
+      resolveOriginalPath(mapping, 'packages/shop/package-abc/src/dir-1/dir-2')
+        .path,
+    ).toBe('packages/shop/cart/src/lib/prices');
+    expect(
+      resolveOriginalPath(mapping, 'packages/shop/package-abc/project.json')
+        .path,
+    ).toBe('packages/shop/cart/project.json');
+    expect(resolveOriginalPath(mapping, 'packages/shop/orders')).toBeNull();
+  });
+});
+
+describe('createNameScrubber', () => {
+  const scrub = createNameScrubber([ENTRY]);
+
+  it.each([
+    [
+      'FAIL packages/shop/cart/src/lib/cart.test.ts',
+      'FAIL packages/shop/package-abc/src/dir-1/test-1.test.ts',
+    ],
+    [
+      '/home/me/repo/packages/shop/cart/src/lib/prices/vat.ts:3',
+      '/home/me/repo/packages/shop/package-abc/src/dir-1/dir-2/vat.ts:3',
+    ],
+    ['root: packages/shop/cart.', 'root: packages/shop/package-abc.'],
+    ["import '@shop/cart/testing'", "import '@anonymized/package-abc/testing'"],
+  ])('replaces renamed paths in %j', (text, expected) => {
+    expect(scrub(text)).toBe(expected);
+  });
+
+  it.each([
+    'batch-cart.ts',
+    'cart',
+    'packages/shop/cart-v2/src/lib',
+    'packages/shop/cart.md',
+    'packages/other/src/lib',
+    'src/lib/prices',
+    '@other/cart',
+    '@shop/cart-utils',
+  ])('leaves %j alone', (text) => {
+    expect(scrub(text)).toBe(text);
+  });
+});
@@ -3,156 +3,816 @@
 /**
  * Script to anonymize an Nx package for testing purposes.
  *
- * Usage: bun tools/scripts/anonymize-package.js <package-path>
+ * Usage: bun tools/scripts/anonymize-package.js <package-path> [options]
+ *        bun tools/scripts/anonymize-package.js --workspace [options]
+ *        bun tools/scripts/anonymize-package.js --resume [--seed <secret>]
  * Example: bun tools/scripts/anonymize-package.js packages/calculators/income-tax
  *
+ * With --workspace every project in the workspace (pnpm-workspace.yaml
+ * packages and Nx project.json roots) is anonymized in one pass, and
+ * imports and package.json dependencies between them are rewritten to the
+ * anonymized @anonymized/package-* names.
+ *
+ * The old -> new names of the package, its directories, test files and tests
+ * are saved to a private mapping file (default: .anonymizer/mapping.json,
+ * git-ignored). Use tools/scripts/deanonymize.js to look up the original of
+ * an anonymized path. Never publish the mapping file.
+ *
+ * Which files of each package are anonymized, kept verbatim or left alone,
+ * which files are tests, and the templates new names are made from can be
+ * set in a .anonymizerrc file at the workspace root, or the file given with
+ * --config. See tools/scripts/anonymize-config.js for the format. Unless
+ * it lists testFiles, the test files are the ones the package's Vitest
+ * config includes, so every test Vitest runs is anonymized and nothing
+ * else is. Renamed test files keep suffixes like `.test.tsx`.
+ *
+ * Runs are safe to repeat. Packages, directories and test files already in
+ * the mapping keep their anonymized names and contents; only what was added
+ * since, such as new test files, is anonymized and added to the mapping. A
+ * package named @anonymized/* that is missing from the mapping is skipped.
+ *
+ * Names are derived from a hash of the original names. Pass --seed <secret>
+ * to key the hash: the same seed always gives the same names, but nobody
+ * without the seed can match a name to a known original. Colliding names are
+ * detected across the whole run and resolved deterministically.
+ *
+ * project.json targets are checked against the files left in the package.
+ * Targets whose commands or options use a deleted file, or that have no
+ * executor or commands, are replaced with an nx:noop stub so
+ * `nx run-many` still works. Pass --broken-targets remove to delete them
+ * instead.
+ *
+ * Source files are deleted by default. With --stub-sources they are
+ * replaced with stubs instead: the declarations the compiler would emit for
+ * each file, with the same exported names and types, where functions,
+ * methods and constructors throw and variables are undefined. The `build`
+ * and `type-check:lib` targets keep working, and so do packages importing
+ * the anonymized one. Stubs keep their file and exported names, which
+ * audit-anonymization.js still reports where they also name a test file or
+ * test, like a describe() named after the function it tests.
+ *
+ * Cucumber test/ directories are deleted by default. With --keep-cucumber
+ * they are kept as skeletons instead: feature and step definition files are
+ * renamed, Feature, Rule and Scenario titles and tags are anonymized,
+ * scenario counts and Examples table sizes are kept, and step definitions
+ * and hooks become no-ops. Hook tag expressions use the same new tag names
+ * as the feature files, and tags like `@skip` that change how a scenario
+ * runs are kept.
+ *
+ * With --keep-modifiers, `.skip`, `.todo`, `.only`, `.concurrent`,
+ * `.sequential`, `.shuffle` and `.fails` are kept on the anonymized suites
+ * and tests. With --reproduce-outcomes the tests that failed or were skipped
+ * in the package's last JUnit report (under --reports, default: reports/)
+ * fail or are skipped in the anonymized package too. With --timing delay or
+ * --timing cpu each test waits, or keeps the CPU busy, for as long as it ran
+ * in that report, so the anonymized run keeps the original timing profile.
+ *
+ * With --out <dir> the packages and the workspace files they need are
+ * copied to a new directory and only that copy is anonymized, so the
+ * workspace itself is never changed. The mapping is still saved here. The
+ * workspace packages they depend on, and the tools/ files their targets
+ * run, are copied as they are; path aliases and `workspace:` dependencies
+ * of packages left out are dropped, so the copy installs and type-checks.
+ * Root ignore file lines, project.json targets and nx.json target defaults
+ * that name an original name or a tools/ file left out are dropped too.
+ *
+ * Every change a run makes is journaled first (in .anonymizer/journal,
+ * with backups of what it overwrites or deletes). If the run fails, the
+ * changes are rolled back and the workspace is left as it was. If the
+ * process is killed before it can roll back, the journal stays behind and
+ * other runs refuse to start; --resume rolls the interrupted run back and
+ * runs it again with the packages and options it was started with. The
+ * journal keeps only a hash of --seed, so pass the same --seed to --resume.
+ *
+ * With --dry-run nothing in the workspace is changed. The same steps run
+ * against a temporary copy of the package, and every rename, deletion,
+ * rewrite and generated file is written to a JSON plan
+ * (default: tmp/anonymize-plan.json).
+ *
+ * The same runs are available from code, for Nx generators and tests:
+ *
+ *   const { anonymizePackage } = require('./tools/scripts/anonymize-package');
+ *   const result = anonymizePackage('packages/<group>/<package>', {
+ *     dryRun: true,
+ *   });
+ *
+ * anonymizePackage and anonymizeWorkspace take the options above in camel
+ * case (see AnonymizeOptions) and return the renames, deletions and
+ * warnings of the run (see AnonymizeResult). They throw instead of exiting.
+ *
  * This script:
  * - Renames the package directory to an arbitrary name
- * - Removes implementation code (keeps only exports/stubs)
- * - Deletes unused implementation files
+ * - Deletes implementation files, or replaces them with type-checkable stubs
  * - Removes empty directories
- * - Replaces test code with assert(true)
+ * - Replaces test code with a skeleton of the same suites, tests, each
+ *   tables and hooks, where every test is assert(true)
  * - Anonymizes test file names
  * - Anonymizes test names and descriptions
  * - Updates references in project.json, package.json, and tsconfig files
+ * - Points paths in the strings of kept config files (vitest, eslint,
+ *   tsconfig*, project.json, package.json) at the renamed packages,
+ *   directories and test files, and replaces the original import paths and
+ *   Nx project names
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { parseArgs } = require('util');
+const {
+  DEFAULT_MAPPING_PATH,
+  loadMapping,
+  saveMapping,
+  addPackageMapping,
+  resolveOriginalPath,
+} = require('./anonymize-mapping');
+const {
+  findWorkspaceProjects,
+  findWorkspaceDependencies,
+  pruneWorkspaceReferences,
+  matchesAnyGlob,
+} = require('./anonymize-workspace');
+const {
+  findModuleSpecifiers,
+  replaceModuleSpecifiers,
+  replaceStringLiterals,
+  findDeclaredNames,
+  isPathSpecifier,
+  resolveModuleFile,
+  isFile,
+} = require('./anonymize-imports');
+const {
+  parseTestFile,
+  walkTestNodes,
+  renderTestSkeleton,
+} = require('./anonymize-test-skeleton');
+const {
+  parseFeatureFile,
+  walkFeatureNodes,
+  expandStepTexts,
+  renderFeatureFile,
+  renameTags,
+  parseStepDefinitions,
+  matchStepDefinition,
+  renderStepDefinitions,
+} = require('./anonymize-cucumber');
+const { readJUnitReports, matchTestCases } = require('./anonymize-junit');
+const {
+  DEFAULT_CONFIG_PATH,
+  DEFAULT_CONFIG,
+  loadConfig,
+  formatName,
+  isExcludedPath,
+  isKeptFile,
+  isTestFile,
+  isTestDirectory,
+} = require('./anonymize-config');
+const { readVitestTestGlobs, isVitestTestFile } = require('./anonymize-vitest');
+const { createSourceStubs } = require('./anonymize-stubs');
+const {
+  collectOriginalTerms,
+  createTermsRegex,
+} = require('./audit-anonymization');
+const {
+  DEFAULT_JOURNAL_DIR,
+  createJournal,
+  loadJournal,
+  recordWrite,
+  recordRename,
+  removeToBackup,
+  rollbackJournal,
+  commitJournal,
+} = require('./anonymize-journal');
+
+// Path relative to the workspace root, with forward slashes
+function toWorkspacePath(recorder, filePath) {
+  return path.relative(recorder.workspaceRoot, filePath).replace(/\\/g, '/');
+}
+
+// Create a recorder that logs every filesystem change made by the script,
+// and every warning. Progress messages and warnings go to the logger. With
+// a journal, every change is journaled first so it can be rolled back.
+function createRecorder(workspaceRoot, logger = console, journal = null) {
+  return { workspaceRoot, operations: [], warnings: [], logger, journal };
+}
+
+// Print a progress message
+function log(recorder, message) {
+  recorder.logger.log(message);
+}
+
+// Print a warning and keep it for the result
+function warn(recorder, message) {
+  recorder.warnings.push(message);
+  recorder.logger.warn(`  Warning: ${message}`);
+}
+
+// Write a file, recording whether it was created or rewritten
+function writeFile(recorder, filePath, content) {
+  const exists = fs.existsSync(filePath);
+  if (exists && fs.readFileSync(filePath, 'utf8') === content) {
+    return;
+  }
+
+  if (recorder.journal) {
+    recordWrite(recorder.journal, filePath);
+  }
+  fs.writeFileSync(filePath, content, 'utf8');
+  recorder.operations.push({
+    type: exists ? 'rewrite' : 'create',
+    path: toWorkspacePath(recorder, filePath),
+  });
+}
+
+// Rename a file or directory
+function renamePath(recorder, oldPath, newPath) {
+  if (recorder.journal) {
+    recordRename(recorder.journal, oldPath, newPath);
+  }
+  fs.renameSync(oldPath, newPath);
+  recorder.operations.push({
+    type: 'rename',
+    from: toWorkspacePath(recorder, oldPath),
+    to: toWorkspacePath(recorder, newPath),
+  });
+}
+
+// Follow a workspace-relative path through every recorded rename
+function resolveRenamedPath(recorder, workspacePath) {
+  let currentPath = workspacePath;
+  for (const operation of recorder.operations) {
+    if (operation.type !== 'rename') {
+      continue;
+    }
+    if (currentPath === operation.from) {
+      currentPath = operation.to;
+    } else if (currentPath.startsWith(operation.from + '/')) {
+      currentPath = operation.to + currentPath.slice(operation.from.length);
+    }
+  }
+  return currentPath;
+}
+
+// Delete a file or directory (directories must be empty unless recursive).
+// With a journal, it is moved into the journal's backups instead.
+function removePath(recorder, targetPath, { recursive = false } = {}) {
+  const isDirectory = fs.statSync(targetPath).isDirectory();
+  if (isDirectory && !recursive && fs.readdirSync(targetPath).length > 0) {
+    throw new Error(`Directory is not empty: ${targetPath}`);
+  }
+
+  if (recorder.journal) {
+    removeToBackup(recorder.journal, targetPath);
+  } else if (!isDirectory) {
+    fs.unlinkSync(targetPath);
+  } else if (recursive) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  } else {
+    fs.rmdirSync(targetPath);
+  }
+  recorder.operations.push({
+    type: 'delete',
+    path: toWorkspacePath(recorder, targetPath),
+    directory: isDirectory,
+  });
+}
+
+// Hash a string to a base36 name suffix. Without a seed this is a 32-bit
+// shift hash, which keeps names stable between runs but can be recomputed by
+// anyone who knows the original names. With a seed it is an HMAC, so the
+// same input still gives the same name but the name can't be traced back
+// without the seed.
+function hashName(input, seed) {
+  if (seed === undefined) {
+    const hash = input.split('').reduce((acc, char) => {
+      return (acc << 5) - acc + char.charCodeAt(0);
+    }, 0);
+    return Math.abs(hash).toString(36);
+  }
+
+  const digest = crypto.createHmac('sha256', seed).update(input).digest('hex');
+  return BigInt(`0x${digest.slice(0, 12)}`).toString(36);
+}
+
+// Hash a seed for the journal, which must not keep the seed itself but
+// lets --resume check that it is given the same one, or null without one
+function hashSeed(seed) {
+  return seed === undefined
+    ? null
+    : crypto.createHash('sha256').update(seed).digest('hex');
+}
 
 // Generate an arbitrary name for the package
-function generateAnonymizedName(originalName) {
-  // Create a hash-like name based on the original name
-  const hash = originalName.split('').reduce((acc, char) => {
-    return (acc << 5) - acc + char.charCodeAt(0);
-  }, 0);
-  const absHash = Math.abs(hash);
-  return `package-${absHash.toString(36)}`;
+function generateAnonymizedName(originalName, names) {
+  return formatName(names.templates.package, {
+    hash: hashName(originalName, names.seed),
+  });
 }
 
-// Generate an arbitrary test file name
-function generateTestFileName(originalName, index) {
-  const hash = (originalName + index).split('').reduce((acc, char) => {
-    return (acc << 5) - acc + char.charCodeAt(0);
-  }, 0);
-  const absHash = Math.abs(hash);
-  return `test-${absHash.toString(36)}.test.ts`;
+// Generate an arbitrary test file name, keeping suffixes like `.test.tsx`
+// that Vitest configs match on. collision is the suffix claimName adds to
+// the hashed input.
+function generateTestFileName(fileName, index, names, collision = '') {
+  return formatName(names.templates.testFile, {
+    hash: hashName(fileName + collision + index, names.seed),
+    suffix: (fileName.match(/(?:\.(?:test|spec)\b.*)?\.[^.]+$/) || [''])[0],
+  });
 }
 
 // Generate an arbitrary test name
-function generateTestName(index) {
-  return `test_${index.toString(36)}`;
+function generateTestName(index, template) {
+  return formatName(template, { index: index.toString(36) });
 }
 
-// Generate an arbitrary folder name
-function generateFolderName(originalName, index) {
-  const hash = (originalName + index).split('').reduce((acc, char) => {
-    return (acc << 5) - acc + char.charCodeAt(0);
-  }, 0);
-  const absHash = Math.abs(hash);
-  return `dir-${absHash.toString(36)}`;
+// Generate an arbitrary feature file name
+function generateFeatureFileName(fileName, index, names, collision = '') {
+  return formatName(names.templates.featureFile, {
+    hash: hashName(fileName + collision + index, names.seed),
+  });
 }
 
-// Find all test files recursively
-function findTestFiles(dir, testFiles = []) {
-  const entries = fs.readdirSync(dir, { withFileTypes: true });
+// Generate an arbitrary step definition file name, keeping suffixes like
+// `.steps.ts` that cucumber configs match on
+function generateStepFileName(fileName, index, names, collision = '') {
+  return formatName(names.templates.stepFile, {
+    hash: hashName(fileName + collision + index, names.seed),
+    suffix: fileName.slice(fileName.indexOf('.')),
+  });
+}
 
-  for (const entry of entries) {
-    const fullPath = path.join(dir, entry.name);
+// Generate an arbitrary name for a cucumber feature, rule, scenario or step
+function generateCucumberName(kind, index, names) {
+  return formatName(names.templates.cucumber, {
+    kind,
+    index: index.toString(36),
+  });
+}
 
-    if (entry.isDirectory()) {
-      // Skip node_modules and dist directories
-      if (entry.name !== 'node_modules' && entry.name !== 'dist') {
-        findTestFiles(fullPath, testFiles);
+// Generate an arbitrary name for part of a project.json target name
+function generateTargetName(originalName, names) {
+  return formatName(names.templates.target, {
+    hash: hashName(originalName, names.seed),
+  });
+}
+
+// Generate an arbitrary folder name
+function generateFolderName(originalName, index, names) {
+  return formatName(names.templates.directory, {
+    hash: hashName(originalName + index, names.seed),
+  });
+}
+
+// Create a registry of the names handed out during a run, and the
+// templates they are made from
+function createNameRegistry(seed, templates = DEFAULT_CONFIG.names) {
+  return { seed, templates, scopes: new Map() };
+}
+
+// Claim a name that is unique within a scope and not already on disk at
+// targetDir. generate(suffix) builds a name from the original input plus a
+// suffix; on a collision the input is hashed again with "#1", "#2", ... so
+// the first claimant in processing order keeps the plain name.
+function claimName(recorder, names, scope, targetDir, currentName, generate) {
+  if (!names.scopes.has(scope)) {
+    names.scopes.set(scope, new Set());
+  }
+  const used = names.scopes.get(scope);
+
+  for (let attempt = 0; ; attempt++) {
+    const name = generate(attempt === 0 ? '' : `#${attempt}`);
+    const isTaken =
+      used.has(name) ||
+      (name !== currentName && fs.existsSync(path.join(targetDir, name)));
+
+    if (!isTaken) {
+      used.add(name);
+      if (attempt > 0) {
+        warn(
+          recorder,
+          `Name collision for ${currentName}, using ${name} instead`,
+        );
       }
-    } else if (entry.isFile() && entry.name.endsWith('.test.ts')) {
-      testFiles.push(fullPath);
+      return name;
     }
   }
+}
 
-  return testFiles;
+// Follow a workspace-relative path back through every recorded rename, to
+// where it was before this run
+function resolvePathBeforeRenames(recorder, workspacePath) {
+  let currentPath = workspacePath;
+  for (const operation of [...recorder.operations].reverse()) {
+    if (operation.type !== 'rename') {
+      continue;
+    }
+    if (currentPath === operation.to) {
+      currentPath = operation.from;
+    } else if (currentPath.startsWith(operation.to + '/')) {
+      currentPath = operation.from + currentPath.slice(operation.to.length);
+    }
+  }
+  return currentPath;
 }
 
-// Find all source files (non-test TypeScript files)
-function findSourceFiles(dir, sourceFiles = []) {
-  const entries = fs.readdirSync(dir, { withFileTypes: true });
+// Build the path checks every traversal of a package shares. Paths are
+// matched against the config as they were before anonymization: before
+// this run's renames and, in a package an earlier run anonymized, before
+// that run's renames too. Without testFiles in the config, test files are
+// the files the package's Vitest config includes.
+function createPackageRules(recorder, config, absolutePackagePath, previous) {
+  const packagePath = toWorkspacePath(recorder, absolutePackagePath);
+  let vitestGlobs = null;
+  if (!config.testFiles) {
+    vitestGlobs = readVitestTestGlobs(
+      absolutePackagePath,
+      recorder.workspaceRoot,
+    );
+    vitestGlobs.warnings.forEach((message) => warn(recorder, message));
+  }
+
+  // Path relative to the original package root
+  function toPackagePath(filePath) {
+    const workspacePath = resolvePathBeforeRenames(
+      recorder,
+      toWorkspacePath(recorder, filePath),
+    );
+    if (!previous) {
+      return path.posix.relative(packagePath, workspacePath);
+    }
+    const original = resolveOriginalPath(
+      { packages: { [previous.newPath]: previous } },
+      workspacePath,
+    );
+    return path.posix.relative(previous.path, original.path);
+  }
 
-  for (const entry of entries) {
+  return {
+    isExcluded: (filePath, isDirectory) =>
+      isExcludedPath(config, toPackagePath(filePath), isDirectory),
+    isKept: (filePath) => isKeptFile(config, toPackagePath(filePath)),
+    // Whether a file is a test file, or would still be one renamed to newName
+    isTestFile: (filePath, newName) => {
+      let packageFilePath = toPackagePath(filePath);
+      if (newName) {
+        packageFilePath = path.posix.join(
+          path.posix.dirname(packageFilePath),
+          newName,
+        );
+      }
+      return vitestGlobs
+        ? isVitestTestFile(vitestGlobs, packageFilePath)
+        : isTestFile(config, packageFilePath);
+    },
+    isTestDirectory: (dirPath) =>
+      isTestDirectory(config, toPackagePath(dirPath)),
+    // Whether an earlier run already anonymized the file or directory
+    isAnonymized: (filePath) => {
+      const workspacePath = toWorkspacePath(recorder, filePath);
+      return Boolean(
+        previous &&
+        (previous.files[workspacePath] || previous.directories[workspacePath]),
+      );
+    },
+  };
+}
+
+// List the files below dir that traversals of the package visit: nothing
+// the config excludes and, unless enterTestDirectories is set, nothing in a
+// cucumber test directory
+function listPackageFiles(
+  rules,
+  dir,
+  { enterTestDirectories = false } = {},
+  files = [],
+) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
     const fullPath = path.join(dir, entry.name);
 
     if (entry.isDirectory()) {
-      // Skip node_modules, dist, and test directories
       if (
-        entry.name !== 'node_modules' &&
-        entry.name !== 'dist' &&
-        entry.name !== 'test'
+        !rules.isExcluded(fullPath, true) &&
+        (enterTestDirectories || !rules.isTestDirectory(fullPath))
       ) {
-        findSourceFiles(fullPath, sourceFiles);
-      }
-    } else if (
-      entry.isFile() &&
-      entry.name.endsWith('.ts') &&
-      !entry.name.endsWith('.test.ts') &&
-      !entry.name.endsWith('.spec.ts') &&
-      entry.name !== 'vitest.config.ts'
-    ) {
-      sourceFiles.push(fullPath);
+        listPackageFiles(rules, fullPath, { enterTestDirectories }, files);
+      }
+    } else if (entry.isFile() && !rules.isExcluded(fullPath, false)) {
+      files.push(fullPath);
     }
   }
 
-  return sourceFiles;
+  return files;
+}
+
+// Find the test files to replace with skeletons
+function findTestFiles(rules, packageRoot) {
+  return listPackageFiles(rules, packageRoot).filter(
+    (filePath) => rules.isTestFile(filePath) && !rules.isKept(filePath),
+  );
+}
+
+// Find the source files to delete (non-test TypeScript files)
+function findSourceFiles(rules, packageRoot) {
+  return listPackageFiles(rules, packageRoot).filter(
+    (filePath) =>
+      /\.[cm]?tsx?$/.test(filePath) &&
+      !/^(vite|vitest)\.config\./.test(path.basename(filePath)) &&
+      !rules.isTestFile(filePath) &&
+      !rules.isKept(filePath),
+  );
 }
 
-// Replace test file content with assert(true)
-function anonymizeTestFile(filePath, testIndex) {
-  const content = `import { assert } from 'vitest';
+// Replace a test file with a skeleton of the same suites, tests, each tables
+// and hooks, returning the new names alongside the original titles. The
+// file's JUnit test cases, if given, decide which tests fail or are skipped
+// with outcomes, and how long each test takes with timing. New test names
+// come from nameTemplate.
+function anonymizeTestFile(
+  recorder,
+  filePath,
+  testIndex,
+  {
+    keepModifiers = false,
+    outcomes = false,
+    timing = null,
+    testCases = null,
+    nameTemplate = DEFAULT_CONFIG.names.test,
+  } = {},
+) {
+  const { nodes, warnings } = parseTestFile(
+    filePath,
+    fs.readFileSync(filePath, 'utf8'),
+  );
+  warnings.forEach((warning) => warn(recorder, warning));
+
+  if (testCases) {
+    matchTestCases(nodes, testCases);
+  }
 
-describe('${generateTestName(testIndex)}', () => {
-  it('${generateTestName(testIndex + 1000)}', () => {
-    assert(true);
+  const names = [];
+  let nameIndex = 0;
+  walkTestNodes(nodes, (node) => {
+    node.name = generateTestName(nameIndex++, nameTemplate);
+    names.push({
+      kind: node.kind === 'suite' ? 'describe' : 'test',
+      name: node.name,
+      original: node.title,
+    });
   });
-});
-`;
-  fs.writeFileSync(filePath, content, 'utf8');
+
+  if (names.length === 0) {
+    // Nothing recognisable as a test, so keep the file runnable with a
+    // single placeholder test
+    warn(
+      recorder,
+      `No tests found in ${toWorkspacePath(recorder, filePath)}, writing a placeholder`,
+    );
+    writeFile(
+      recorder,
+      filePath,
+      renderTestSkeleton([
+        {
+          kind: 'suite',
+          name: generateTestName(testIndex, nameTemplate),
+          each: null,
+          children: [
+            {
+              kind: 'test',
+              name: generateTestName(testIndex + 1000, nameTemplate),
+              each: null,
+              children: [],
+            },
+          ],
+        },
+      ]),
+    );
+    return [];
+  }
+
+  writeFile(
+    recorder,
+    filePath,
+    renderTestSkeleton(nodes, { keepModifiers, outcomes, timing }),
+  );
+  return names;
 }
 
-// Remove implementation code from source files, keeping only exports
-function anonymizeSourceFile(filePath) {
-  let content = fs.readFileSync(filePath, 'utf8');
+// Replace the cucumber suites in test/ directories with skeletons. Feature
+// files keep their scenarios and Examples table sizes, step definitions and
+// hooks become no-ops, and every other file is deleted. Each tag gets one
+// new name in every feature file and hook, the one an earlier run gave it
+// if there was one.
+// Directories keep their names so cucumber configs still find the files.
+// Files the config keeps, and files an earlier run anonymized, are left as
+// they are. Returns the new names of each kept file alongside the original
+// titles.
+function anonymizeCucumberDirectories(
+  recorder,
+  names,
+  rules,
+  testDirectories,
+  previous = null,
+) {
+  const files = testDirectories
+    .flatMap((dir) =>
+      listPackageFiles(rules, dir, { enterTestDirectories: true }),
+    )
+    .filter((filePath) => !rules.isKept(filePath));
+  const anonymizedFiles = files.filter(rules.isAnonymized);
+  const keptFiles = [];
+
+  function renameKeptFile(filePath, index, generate, fileNames) {
+    const dir = path.dirname(filePath);
+    const newFileName = claimName(
+      recorder,
+      names,
+      `file:${dir}`,
+      dir,
+      path.basename(filePath),
+      (suffix) => generate(path.basename(filePath), index, names, suffix),
+    );
+    const newFilePath = path.join(dir, newFileName);
+    if (filePath !== newFilePath) {
+      renamePath(recorder, filePath, newFilePath);
+      log(
+        recorder,
+        `  Renamed: ${toWorkspacePath(recorder, filePath)} -> ${newFileName}`,
+      );
+    }
+    keptFiles.push({
+      path: toWorkspacePath(recorder, filePath),
+      names: fileNames,
+    });
+  }
 
-  // Extract exports (export statements)
-  const exportLines = [];
-  const lines = content.split('\n');
+  const tagNames = new Map();
+  for (const file of Object.values((previous && previous.files) || {})) {
+    for (const { kind, name, original } of file.names) {
+      if (kind === 'tag') {
+        tagNames.set(original, name);
+      }
+    }
+  }
+  let tagIndex = 0;
+  // Rename the tags of an expression, adding the ones a file uses to its
+  // names
+  function renameFileTags(expression, fileNames) {
+    return renameTags(expression, (tag) => {
+      if (!tagNames.has(tag)) {
+        const usedNames = new Set(tagNames.values());
+        let name;
+        do {
+          name = `@${generateCucumberName('tag', tagIndex++, names)}`;
+        } while (usedNames.has(name));
+        tagNames.set(tag, name);
+      }
+      const name = tagNames.get(tag);
+      if (
+        !fileNames.some((entry) => entry.kind === 'tag' && entry.name === name)
+      ) {
+        fileNames.push({ kind: 'tag', name, original: tag });
+      }
+      return name;
+    });
+  }
 
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (
-      trimmed.startsWith('export ') ||
-      trimmed.startsWith('export type ') ||
-      trimmed.startsWith('export interface ') ||
-      trimmed.startsWith('export enum ')
-    ) {
-      exportLines.push(line);
+  // Step definitions are shared by every feature, so read them all first.
+  // Already anonymized ones come first and keep their step_N names.
+  const definitions = [];
+  const stepFiles = [];
+  let stepIndex = 0;
+  function nextStepName() {
+    let name;
+    do {
+      name = generateCucumberName('step', stepIndex++, names);
+    } while (definitions.some((definition) => definition.name === name));
+    return name;
+  }
+
+  for (const filePath of [
+    ...anonymizedFiles,
+    ...files.filter((filePath) => !anonymizedFiles.includes(filePath)),
+  ]) {
+    if (!/\.[cm]?[jt]s$/.test(filePath) || filePath.endsWith('.d.ts')) {
+      continue;
+    }
+    const parsed = parseStepDefinitions(
+      filePath,
+      fs.readFileSync(filePath, 'utf8'),
+    );
+    if (anonymizedFiles.includes(filePath)) {
+      parsed.steps.forEach((step) => {
+        step.name = step.pattern;
+        definitions.push(step);
+      });
+    } else if (parsed.steps.length > 0 || parsed.hooks.length > 0) {
+      parsed.steps.forEach((step) => {
+        step.name = nextStepName();
+        definitions.push(step);
+      });
+      stepFiles.push({ filePath, parsed });
     }
   }
 
-  // If no exports found, create a minimal stub
-  if (exportLines.length === 0) {
-    content = `// Anonymized file
-export {};
-`;
-  } else {
-    // Keep only export statements, add a comment
-    content = `// Anonymized file - implementation removed
-${exportLines.join('\n')}
-`;
+  const featureFiles = files.filter(
+    (filePath) =>
+      filePath.endsWith('.feature') && !anonymizedFiles.includes(filePath),
+  );
+  featureFiles.forEach((filePath, index) => {
+    const { features, warnings } = parseFeatureFile(
+      filePath,
+      fs.readFileSync(filePath, 'utf8'),
+    );
+    warnings.forEach((warning) => warn(recorder, warning));
+
+    const fileNames = [];
+    let nameIndex = 0;
+    walkFeatureNodes(features, (node) => {
+      if (node.tags) {
+        node.tags = node.tags.map((tag) => renameFileTags(tag, fileNames));
+      }
+      if (['feature', 'rule', 'scenario'].includes(node.kind)) {
+        node.name = generateCucumberName(node.kind, nameIndex++, names);
+        fileNames.push({
+          kind: node.kind,
+          name: node.name,
+          original: node.title,
+        });
+      }
+      if (node.kind !== 'scenario' && node.kind !== 'background') {
+        return;
+      }
+
+      for (const { step, text } of expandStepTexts(node)) {
+        const definition = matchStepDefinition(definitions, text);
+        if (definition) {
+          step.name = definition.name;
+          continue;
+        }
+
+        // Keep undefined steps undefined
+        step.name = generateCucumberName('undefined_step', nameIndex++, names);
+        fileNames.push({ kind: 'step', name: step.name, original: step.text });
+        warn(
+          recorder,
+          `No step definition matches "${text}" in ${toWorkspacePath(recorder, filePath)}`,
+        );
+      }
+    });
+
+    writeFile(recorder, filePath, renderFeatureFile(features));
+    renameKeptFile(filePath, index, generateFeatureFileName, fileNames);
+  });
+
+  stepFiles.forEach(({ filePath, parsed }, index) => {
+    const fileNames = parsed.steps.map((step) => ({
+      kind: 'step',
+      name: step.name,
+      original: step.pattern,
+    }));
+    for (const hook of parsed.hooks) {
+      if (hook.tags !== null) {
+        hook.tags = renameFileTags(hook.tags, fileNames);
+      }
+    }
+    writeFile(recorder, filePath, renderStepDefinitions(filePath, parsed));
+    renameKeptFile(filePath, index, generateStepFileName, fileNames);
+  });
+
+  // Support code, fixtures and anything else only the real suite needs
+  const keptPaths = new Set([
+    ...anonymizedFiles,
+    ...featureFiles,
+    ...stepFiles.map(({ filePath }) => filePath),
+  ]);
+  for (const filePath of files) {
+    if (!keptPaths.has(filePath)) {
+      log(recorder, `  Deleting: ${toWorkspacePath(recorder, filePath)}`);
+      deleteFile(recorder, filePath);
+    }
   }
 
-  fs.writeFileSync(filePath, content, 'utf8');
+  return keptFiles;
+}
+
+// Replace source files with stubs of the same exported names and types,
+// compiled with the options of the package's library tsconfig. Returns the
+// stub content by file path.
+function stubSourceFiles(recorder, packageRoot, sourceFiles) {
+  const tsconfigPath = ['tsconfig.lib.json', 'tsconfig.json']
+    .map((fileName) => path.join(packageRoot, fileName))
+    .find((filePath) => fs.existsSync(filePath));
+
+  const stubs = createSourceStubs(sourceFiles, tsconfigPath);
+  for (const [filePath, content] of stubs) {
+    log(recorder, `  Stubbing: ${path.relative(packageRoot, filePath)}`);
+    writeFile(recorder, filePath, content);
+  }
+  return stubs;
 }
 
 // Update package.json
-function updatePackageJson(packageJsonPath, newPackageName) {
+function updatePackageJson(recorder, packageJsonPath, newPackageName) {
   if (!fs.existsSync(packageJsonPath)) {
     return;
   }
@@ -161,162 +821,521 @@ function updatePackageJson(packageJsonPath, newPackageName) {
   if (packageJson.name) {
     packageJson.name = `@anonymized/${newPackageName}`;
   }
-  fs.writeFileSync(
+  writeFile(
+    recorder,
     packageJsonPath,
     JSON.stringify(packageJson, null, 2) + '\n',
-    'utf8',
   );
 }
 
-// Update project.json
-function updateProjectJson(projectJsonPath, newPackageName) {
-  if (!fs.existsSync(projectJsonPath)) {
-    return;
-  }
-
-  const projectJson = JSON.parse(fs.readFileSync(projectJsonPath, 'utf8'));
-  if (projectJson.name) {
-    projectJson.name = newPackageName;
-  }
-  fs.writeFileSync(
-    projectJsonPath,
-    JSON.stringify(projectJson, null, 2) + '\n',
-    'utf8',
-  );
-}
+// How anonymized tests can take as long as the original tests did
+const TIMING_MODES = ['delay', 'cpu'];
 
-// Update tsconfig.base.json
-function updateTsConfigBase(
-  tsConfigPath,
-  oldPath,
-  newPath,
-  oldImportPath,
-  newImportPath,
-) {
-  if (!fs.existsSync(tsConfigPath)) {
-    return;
-  }
+// What can be done with a project.json target that can't run any more
+const BROKEN_TARGET_ACTIONS = ['stub', 'remove'];
 
-  let content = fs.readFileSync(tsConfigPath, 'utf8');
+// Files a target command or option can point at
+const TARGET_FILE_PATTERN = /\.([cm]?[jt]sx?|json)$/;
 
-  // Replace path references
-  content = content.replace(
-    new RegExp(`"${oldPath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"`, 'g'),
-    `"${newPath}"`,
-  );
+// Nx tokens a target path can start with
+const ROOT_TOKEN_PATTERN = /^\{(project|workspace)Root\}/;
 
-  // Replace import path references if they exist
-  if (oldImportPath && newImportPath) {
-    content = content.replace(
-      new RegExp(
-        `"${oldImportPath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"`,
-        'g',
-      ),
-      `"${newImportPath}"`,
-    );
+// Read the targetDefaults from nx.json
+function readTargetDefaults(workspaceRoot) {
+  const nxJsonPath = path.join(workspaceRoot, 'nx.json');
+  if (!fs.existsSync(nxJsonPath)) {
+    return {};
   }
+  return JSON.parse(fs.readFileSync(nxJsonPath, 'utf8')).targetDefaults || {};
+}
 
-  fs.writeFileSync(tsConfigPath, content, 'utf8');
+// Merge a target with the nx.json defaults for its name and its executor
+function withTargetDefaults(targetName, target, targetDefaults) {
+  const nameDefaults = targetDefaults[targetName] || {};
+  const executor = target.executor || nameDefaults.executor;
+  const executorDefaults = (executor && targetDefaults[executor]) || {};
+  return {
+    ...executorDefaults,
+    ...nameDefaults,
+    ...target,
+    executor,
+    options: {
+      ...executorDefaults.options,
+      ...nameDefaults.options,
+      ...target.options,
+    },
+  };
 }
 
-// Get import path from package.json
-function getImportPath(packageJsonPath) {
-  if (!fs.existsSync(packageJsonPath)) {
-    return null;
+// Find the file paths in a target's command and options. Outputs, globs and
+// paths using any {token} other than the project and workspace roots are
+// skipped.
+function findTargetFileReferences(target) {
+  const references = new Set();
+  function visit(value, key = '') {
+    if (typeof value === 'string') {
+      for (const token of value.split(/[\s'"`=,;]+/)) {
+        if (
+          token.includes('/') &&
+          TARGET_FILE_PATTERN.test(token) &&
+          !/[*?[\]]/.test(token) &&
+          !/\{(?!projectRoot\}|workspaceRoot\})/.test(token)
+        ) {
+          references.add(token);
+        }
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach((item) => visit(item, key));
+    } else if (value && typeof value === 'object' && !/^output/i.test(key)) {
+      Object.entries(value).forEach(([childKey, child]) =>
+        visit(child, childKey),
+      );
+    }
   }
+  visit(target.command);
+  visit(target.options);
+  return [...references];
+}
 
-  const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-  return packageJson.name || null;
+// Resolve a target path to an absolute path. Nx runs commands from the
+// workspace root unless the target sets a cwd.
+function resolveTargetPath(reference, projectRoot, workspaceRoot, cwd = '') {
+  const expand = (targetPath) =>
+    targetPath
+      .replace(/^\{projectRoot\}/, projectRoot)
+      .replace(/^\{workspaceRoot\}/, workspaceRoot);
+  return path.resolve(workspaceRoot, expand(cwd), expand(reference));
 }
 
-// Extract imports from a file, returning both direct imports and re-exports
-function extractImports(filePath, packageRoot) {
-  if (!fs.existsSync(filePath)) {
-    return { directImports: [], reExports: [] };
-  }
+// Write a target path back in the same form it was given in
+function formatTargetPath(
+  reference,
+  absolutePath,
+  projectRoot,
+  workspaceRoot,
+  cwd = '',
+) {
+  const root = reference.match(ROOT_TOKEN_PATTERN);
+  const relativeTo = !root
+    ? resolveTargetPath('.', projectRoot, workspaceRoot, cwd)
+    : root[1] === 'project'
+      ? projectRoot
+      : workspaceRoot;
+  const relativePath = path
+    .relative(relativeTo, absolutePath)
+    .replace(/\\/g, '/');
+  return root ? `${root[0]}/${relativePath}` : relativePath;
+}
 
-  const content = fs.readFileSync(filePath, 'utf8');
-  const directImports = [];
-  const reExports = [];
+// Replace every occurrence of the given paths in a target's string values
+function replaceTargetPaths(value, replacements) {
+  if (typeof value === 'string') {
+    let updated = value;
+    for (const [from, to] of replacements) {
+      updated = updated.split(from).join(to);
+    }
+    return updated;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => replaceTargetPaths(item, replacements));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, child]) => [
+        key,
+        replaceTargetPaths(child, replacements),
+      ]),
+    );
+  }
+  return value;
+}
 
-  // Match import statements: import ... from '...' (direct imports)
-  const importRegex = /import\s+[^{*].*?\s+from\s+['"]([^'"]+)['"]/g;
-  let match;
-  while ((match = importRegex.exec(content)) !== null) {
-    const importPath = match[1];
+// Point a target at the files it uses inside the package, following the
+// directory renames. Returns the updated target and why it can't run, or a
+// null problem if it can.
+function checkProjectTarget(
+  targetName,
+  target,
+  projectRoot,
+  workspaceRoot,
+  targetDefaults,
+  dirMap,
+) {
+  const merged = withTargetDefaults(targetName, target, targetDefaults);
+  if (!merged.executor && !merged.command) {
+    return { target, problem: 'has no executor or command' };
+  }
+  if (
+    merged.executor === 'nx:run-commands' &&
+    !merged.command &&
+    !merged.options.command &&
+    !(merged.options.commands && merged.options.commands.length > 0)
+  ) {
+    return { target, problem: 'has no commands' };
+  }
 
-    // Skip external packages (starting with @ or not relative)
+  // Only files inside the package can have been deleted or moved
+  const ownReferences = new Set(findTargetFileReferences(target));
+  const replacements = new Map();
+  for (const reference of findTargetFileReferences(merged)) {
+    const originalPath = resolveTargetPath(
+      reference,
+      projectRoot,
+      workspaceRoot,
+      merged.options.cwd,
+    );
     if (
-      importPath.startsWith('@') ||
-      (!importPath.startsWith('.') && !importPath.startsWith('/'))
+      !originalPath.startsWith(projectRoot + path.sep) ||
+      fs.existsSync(originalPath)
     ) {
       continue;
     }
 
-    // Resolve relative import to absolute path
-    const dir = path.dirname(filePath);
-    let resolvedPath;
-
-    if (importPath.endsWith('.ts')) {
-      resolvedPath = path.resolve(dir, importPath);
-    } else {
-      // Try .ts extension
-      resolvedPath = path.resolve(dir, importPath + '.ts');
-      if (!fs.existsSync(resolvedPath)) {
-        // Try index.ts
-        resolvedPath = path.resolve(dir, importPath, 'index.ts');
-      }
+    const newPath = mapRenamedDirectories(originalPath, dirMap);
+    if (!ownReferences.has(reference) || !fs.existsSync(newPath)) {
+      return {
+        target,
+        problem: `uses missing file ${path.relative(projectRoot, originalPath)}`,
+      };
     }
+    replacements.set(
+      reference,
+      formatTargetPath(
+        reference,
+        newPath,
+        projectRoot,
+        workspaceRoot,
+        merged.options.cwd,
+      ),
+    );
+  }
 
-    // Only include if it's within the package
-    const normalizedResolved = path.normalize(resolvedPath);
-    const normalizedRoot = path.normalize(packageRoot);
-    if (
-      normalizedResolved.startsWith(normalizedRoot) &&
-      fs.existsSync(normalizedResolved)
-    ) {
-      directImports.push(normalizedResolved);
+  let updated = target;
+  if (replacements.size > 0) {
+    updated = { ...target };
+    for (const key of ['command', 'options']) {
+      if (key in target) {
+        updated[key] = replaceTargetPaths(target[key], replacements);
+      }
     }
   }
 
-  // Also check for export ... from '...' (re-exports)
-  const exportFromRegex = /export\s+.*?\s+from\s+['"]([^'"]+)['"]/g;
-  while ((match = exportFromRegex.exec(content)) !== null) {
-    const importPath = match[1];
-
-    if (
-      importPath.startsWith('@') ||
-      (!importPath.startsWith('.') && !importPath.startsWith('/'))
-    ) {
-      continue;
-    }
+  if (Array.isArray(target.inputs)) {
+    updated = {
+      ...updated,
+      inputs: updateTargetInputs(
+        target.inputs,
+        projectRoot,
+        workspaceRoot,
+        dirMap,
+      ),
+    };
+  }
 
-    const dir = path.dirname(filePath);
-    let resolvedPath;
+  return { target: updated, problem: null };
+}
 
-    if (importPath.endsWith('.ts')) {
-      resolvedPath = path.resolve(dir, importPath);
-    } else {
-      resolvedPath = path.resolve(dir, importPath + '.ts');
-      if (!fs.existsSync(resolvedPath)) {
-        resolvedPath = path.resolve(dir, importPath, 'index.ts');
-      }
+// Follow directory renames in file inputs inside the package, and drop the
+// ones whose files are gone. Named inputs, negations and env or external
+// dependency inputs are kept as they are.
+function updateTargetInputs(inputs, projectRoot, workspaceRoot, dirMap) {
+  return inputs.flatMap((input) => {
+    const root = typeof input === 'string' && input.match(ROOT_TOKEN_PATTERN);
+    if (!root) {
+      return [input];
     }
 
-    const normalizedResolved = path.normalize(resolvedPath);
-    const normalizedRoot = path.normalize(packageRoot);
+    // Check the directory a glob starts from
+    const rest = input.slice(root[0].length);
+    const wildcard = rest.search(/[*?[{(!]/);
+    const fixedPart =
+      wildcard === -1
+        ? input
+        : root[0] + rest.slice(0, wildcard).replace(/\/[^/]*$/, '');
+    const originalPath = resolveTargetPath(
+      fixedPart,
+      projectRoot,
+      workspaceRoot,
+    );
     if (
-      normalizedResolved.startsWith(normalizedRoot) &&
-      fs.existsSync(normalizedResolved)
+      !originalPath.startsWith(projectRoot + path.sep) ||
+      fs.existsSync(originalPath)
     ) {
-      reExports.push(normalizedResolved);
+      return [input];
     }
-  }
 
-  return { directImports, reExports };
+    const newPath = mapRenamedDirectories(originalPath, dirMap);
+    if (!fs.existsSync(newPath)) {
+      return [];
+    }
+    return [
+      formatTargetPath(fixedPart, newPath, projectRoot, workspaceRoot) +
+        input.slice(fixedPart.length),
+    ];
+  });
 }
 
-// Find all files that are actually used (starting from entry points)
+// Anonymize the parts of a target name, split at `:`, that name the package
+// or a package file the target runs, like `batch-payroll` in
+// `tools:batch-payroll`. Returns the name unchanged if none do. Targets
+// nx.json has defaults for are shared by name, so they keep theirs.
+function anonymizeTargetName(
+  targetName,
+  target,
+  projectRoot,
+  workspaceRoot,
+  targetDefaults,
+  { packageName, names, used },
+) {
+  if (!names || targetName in targetDefaults) {
+    return targetName;
+  }
+
+  const merged = withTargetDefaults(targetName, target, targetDefaults);
+  const originalNames = [packageName];
+  for (const reference of findTargetFileReferences(merged)) {
+    const filePath = resolveTargetPath(
+      reference,
+      projectRoot,
+      workspaceRoot,
+      merged.options.cwd,
+    );
+    if (filePath.startsWith(projectRoot + path.sep)) {
+      originalNames.push(path.basename(filePath).replace(/\.[^.]+$/, ''));
+    }
+  }
+  const namesRegex = new RegExp(
+    `(?<![A-Za-z0-9_])(?:${originalNames
+      .map((name) => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|')})(?![A-Za-z0-9_])`,
+  );
+
+  const newTargetName = targetName
+    .split(':')
+    .map((part) => {
+      if (!namesRegex.test(part)) {
+        return part;
+      }
+      for (let attempt = 0; ; attempt++) {
+        const name = generateTargetName(
+          part + (attempt === 0 ? '' : `#${attempt}`),
+          names,
+        );
+        if (!used.has(name)) {
+          used.add(name);
+          return name;
+        }
+      }
+    })
+    .join(':');
+  return newTargetName;
+}
+
+// Update project.json. Targets follow their files to the renamed
+// directories, and targets that can no longer run are replaced with an
+// nx:noop stub or removed, so the Nx project graph still loads. Target
+// names that give away the package or its files are anonymized. Returns the
+// original project name, or null if there is none, and the original name of
+// each renamed target.
+function updateProjectJson(
+  recorder,
+  projectJsonPath,
+  newPackageName,
+  {
+    dirMap = new Map(),
+    targetDefaults = {},
+    brokenTargets = 'stub',
+    packageName = path.basename(path.dirname(projectJsonPath)),
+    names = null,
+  } = {},
+) {
+  if (!fs.existsSync(projectJsonPath)) {
+    return { projectName: null, targetNames: new Map() };
+  }
+
+  const projectJson = JSON.parse(fs.readFileSync(projectJsonPath, 'utf8'));
+  const projectName = projectJson.name || null;
+  if (projectJson.name) {
+    projectJson.name = newPackageName;
+  }
+
+  // Named before the targets change, while they still point at the
+  // original files
+  const targetNames = new Map();
+  const used = new Set(Object.keys(projectJson.targets || {}));
+  for (const [targetName, target] of Object.entries(
+    projectJson.targets || {},
+  )) {
+    const newTargetName = anonymizeTargetName(
+      targetName,
+      target,
+      path.dirname(projectJsonPath),
+      recorder.workspaceRoot,
+      targetDefaults,
+      { packageName, names, used },
+    );
+    if (newTargetName !== targetName) {
+      targetNames.set(newTargetName, targetName);
+    }
+  }
+
+  const targets = projectJson.targets || {};
+  const removedTargets = new Set();
+  for (const [targetName, target] of Object.entries(targets)) {
+    const { target: updated, problem } = checkProjectTarget(
+      targetName,
+      target,
+      path.dirname(projectJsonPath),
+      recorder.workspaceRoot,
+      targetDefaults,
+      dirMap,
+    );
+
+    if (!problem) {
+      targets[targetName] = updated;
+    } else if (brokenTargets === 'remove') {
+      delete targets[targetName];
+      removedTargets.add(targetName);
+      log(recorder, `  Removed target ${targetName}: ${problem}`);
+    } else {
+      targets[targetName] = { executor: 'nx:noop' };
+      log(recorder, `  Stubbed target ${targetName}: ${problem}`);
+    }
+  }
+
+  // Drop dependencies on removed targets of this project, and follow the
+  // renamed ones
+  const originalNames = new Map(
+    [...targetNames].map(([newName, originalName]) => [originalName, newName]),
+  );
+  const ownTarget = (dependency) =>
+    typeof dependency === 'string'
+      ? dependency
+      : !dependency.projects && !dependency.dependencies
+        ? dependency.target
+        : null;
+  for (const target of Object.values(targets)) {
+    if (Array.isArray(target.dependsOn)) {
+      target.dependsOn = target.dependsOn
+        .filter((dependency) => !removedTargets.has(ownTarget(dependency)))
+        .map((dependency) => {
+          const newName = originalNames.get(ownTarget(dependency));
+          if (!newName) {
+            return dependency;
+          }
+          return typeof dependency === 'string'
+            ? newName
+            : { ...dependency, target: newName };
+        });
+    }
+  }
+  if (projectJson.targets) {
+    projectJson.targets = Object.fromEntries(
+      Object.entries(targets).map(([targetName, target]) => [
+        originalNames.get(targetName) || targetName,
+        target,
+      ]),
+    );
+  }
+  for (const [newName, originalName] of targetNames) {
+    if (!removedTargets.has(originalName)) {
+      log(recorder, `  Renamed target ${originalName} -> ${newName}`);
+    }
+  }
+
+  writeFile(
+    recorder,
+    projectJsonPath,
+    JSON.stringify(projectJson, null, 2) + '\n',
+  );
+  return { projectName, targetNames };
+}
+
+// Update tsconfig.base.json
+function updateTsConfigBase(
+  recorder,
+  tsConfigPath,
+  oldPath,
+  newPath,
+  oldImportPath,
+  newImportPath,
+) {
+  if (!fs.existsSync(tsConfigPath)) {
+    return;
+  }
+
+  let content = fs.readFileSync(tsConfigPath, 'utf8');
+
+  // Replace path references, including paths inside the package
+  content = content.replace(
+    new RegExp(`"${oldPath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(["/])`, 'g'),
+    `"${newPath}$1`,
+  );
+
+  // Replace import path references if they exist
+  if (oldImportPath && newImportPath) {
+    content = content.replace(
+      new RegExp(
+        `"${oldImportPath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"`,
+        'g',
+      ),
+      `"${newImportPath}"`,
+    );
+  }
+
+  writeFile(recorder, tsConfigPath, content);
+}
+
+// Get import path from package.json
+function getImportPath(packageJsonPath) {
+  if (!fs.existsSync(packageJsonPath)) {
+    return null;
+  }
+
+  const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+  return packageJson.name || null;
+}
+
+// Extract imports from a file, returning both direct imports and re-exports.
+// Direct imports include every import form as well as import(), require()
+// and vi.mock() paths. Only files inside the package are returned.
+function extractImports(filePath, packageRoot) {
+  if (!fs.existsSync(filePath)) {
+    return { directImports: [], reExports: [] };
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  const directImports = [];
+  const reExports = [];
+  const normalizedRoot = path.normalize(packageRoot);
+
+  for (const { specifier, kind } of findModuleSpecifiers(filePath, content)) {
+    // Skip external packages
+    if (!isPathSpecifier(specifier)) {
+      continue;
+    }
+
+    const resolvedPath = resolveModuleFile(path.dirname(filePath), specifier);
+
+    // Only include if it's within the package
+    if (
+      !resolvedPath ||
+      !path.normalize(resolvedPath).startsWith(normalizedRoot + path.sep)
+    ) {
+      continue;
+    }
+
+    if (kind === 'export') {
+      reExports.push(path.normalize(resolvedPath));
+    } else {
+      directImports.push(path.normalize(resolvedPath));
+    }
+  }
+
+  return { directImports, reExports };
+}
+
+// Find all files that are actually used (starting from entry points)
 function findUsedFiles(packageRoot) {
   const usedFiles = new Set();
   const directlyImportedFiles = new Set(); // Files that are directly imported (not just re-exported)
@@ -339,37 +1358,6 @@ function findUsedFiles(packageRoot) {
 
     usedFiles.add(currentFile);
 
-    const content = fs.readFileSync(currentFile, 'utf8');
-
-    // Check for direct imports (not re-exports)
-    const directImportRegex = /import\s+[^{*].*?\s+from\s+['"]([^'"]+)['"]/g;
-    let match;
-    while ((match = directImportRegex.exec(content)) !== null) {
-      const importPath = match[1];
-      if (importPath.startsWith('.') || importPath.startsWith('/')) {
-        const dir = path.dirname(currentFile);
-        let resolvedPath;
-
-        if (importPath.endsWith('.ts')) {
-          resolvedPath = path.resolve(dir, importPath);
-        } else {
-          resolvedPath = path.resolve(dir, importPath + '.ts');
-          if (!fs.existsSync(resolvedPath)) {
-            resolvedPath = path.resolve(dir, importPath, 'index.ts');
-          }
-        }
-
-        const normalizedResolved = path.normalize(resolvedPath);
-        const normalizedRoot = path.normalize(packageRoot);
-        if (
-          normalizedResolved.startsWith(normalizedRoot) &&
-          fs.existsSync(normalizedResolved)
-        ) {
-          directlyImportedFiles.add(normalizedResolved);
-        }
-      }
-    }
-
     // Find all imports (including re-exports)
     const { directImports, reExports } = extractImports(
       currentFile,
@@ -378,18 +1366,16 @@ function findUsedFiles(packageRoot) {
 
     // Track directly imported files
     for (const importPath of directImports) {
-      const normalizedImport = path.normalize(importPath);
-      directlyImportedFiles.add(normalizedImport);
-      if (!usedFiles.has(normalizedImport)) {
-        toProcess.push(normalizedImport);
+      directlyImportedFiles.add(importPath);
+      if (!usedFiles.has(importPath)) {
+        toProcess.push(importPath);
       }
     }
 
     // Track re-exported files (they're used but may be deletable)
     for (const importPath of reExports) {
-      const normalizedImport = path.normalize(importPath);
-      if (!usedFiles.has(normalizedImport)) {
-        toProcess.push(normalizedImport);
+      if (!usedFiles.has(importPath)) {
+        toProcess.push(importPath);
       }
     }
   }
@@ -409,12 +1395,12 @@ function findUsedFiles(packageRoot) {
 }
 
 // Delete a file
-function deleteFile(filePath) {
+function deleteFile(recorder, filePath) {
   try {
-    fs.unlinkSync(filePath);
+    removePath(recorder, filePath);
     return true;
   } catch (error) {
-    console.warn(`  Warning: Could not delete ${filePath}: ${error.message}`);
+    warn(recorder, `Could not delete ${filePath}: ${error.message}`);
     return false;
   }
 }
@@ -430,7 +1416,7 @@ function isDirectoryEmpty(dirPath) {
 }
 
 // Remove empty directories recursively
-function removeEmptyDirectories(dirPath, packageRoot) {
+function removeEmptyDirectories(recorder, dirPath, packageRoot) {
   // Don't remove the package root itself
   if (dirPath === packageRoot) {
     return;
@@ -438,15 +1424,16 @@ function removeEmptyDirectories(dirPath, packageRoot) {
 
   try {
     if (isDirectoryEmpty(dirPath)) {
-      fs.rmdirSync(dirPath);
-      console.log(
+      removePath(recorder, dirPath);
+      log(
+        recorder,
         `  Removed empty directory: ${path.relative(packageRoot, dirPath)}`,
       );
 
       // Try to remove parent directory if it becomes empty
       const parentDir = path.dirname(dirPath);
       if (parentDir !== dirPath && parentDir.startsWith(packageRoot)) {
-        removeEmptyDirectories(parentDir, packageRoot);
+        removeEmptyDirectories(recorder, parentDir, packageRoot);
       }
     }
   } catch (error) {
@@ -454,8 +1441,16 @@ function removeEmptyDirectories(dirPath, packageRoot) {
   }
 }
 
-// Rename directories to anonymized names
-function anonymizeDirectories(packageRoot, dirMap = new Map(), index = 0) {
+// Rename directories to anonymized names, except excluded and test
+// directories and those an earlier run already renamed
+function anonymizeDirectories(
+  recorder,
+  names,
+  rules,
+  packageRoot,
+  dirMap = new Map(),
+  index = 0,
+) {
   const entries = fs.readdirSync(packageRoot, { withFileTypes: true });
 
   for (const entry of entries) {
@@ -463,23 +1458,27 @@ function anonymizeDirectories(packageRoot, dirMap = new Map(), index = 0) {
       continue;
     }
 
-    // Skip certain directories
-    if (
-      entry.name === 'node_modules' ||
-      entry.name === 'dist' ||
-      entry.name === '.git' ||
-      entry.name === 'test'
-    ) {
+    const fullPath = path.join(packageRoot, entry.name);
+    if (rules.isExcluded(fullPath, true) || rules.isTestDirectory(fullPath)) {
       continue;
     }
 
-    const fullPath = path.join(packageRoot, entry.name);
-
     // Recursively process subdirectories first
-    anonymizeDirectories(fullPath, dirMap, index);
+    anonymizeDirectories(recorder, names, rules, fullPath, dirMap, index);
+    if (rules.isAnonymized(fullPath)) {
+      continue;
+    }
 
     // Generate new name
-    const newName = generateFolderName(entry.name, index++);
+    const folderIndex = index++;
+    const newName = claimName(
+      recorder,
+      names,
+      `dir:${packageRoot}`,
+      packageRoot,
+      entry.name,
+      (suffix) => generateFolderName(entry.name + suffix, folderIndex, names),
+    );
     const newPath = path.join(packageRoot, newName);
 
     if (entry.name !== newName) {
@@ -487,8 +1486,9 @@ function anonymizeDirectories(packageRoot, dirMap = new Map(), index = 0) {
       dirMap.set(fullPath, newPath);
 
       // Rename the directory
-      fs.renameSync(fullPath, newPath);
-      console.log(
+      renamePath(recorder, fullPath, newPath);
+      log(
+        recorder,
         `  Renamed directory: ${path.relative(packageRoot, fullPath)} -> ${path.relative(packageRoot, newPath)}`,
       );
     }
@@ -497,260 +1497,346 @@ function anonymizeDirectories(packageRoot, dirMap = new Map(), index = 0) {
   return dirMap;
 }
 
-// Update file paths in export statements after directory renaming
-function updateExportPaths(filePath, dirMap) {
-  if (!fs.existsSync(filePath)) {
-    return;
+// Map a path through the directory renames in dirMap, or back again with
+// reverse. dirMap lists child directories before their parents, in the
+// order anonymizeDirectories renamed them.
+function mapRenamedDirectories(filePath, dirMap, reverse = false) {
+  const entries = [...dirMap.entries()];
+  if (reverse) {
+    entries.reverse();
   }
 
-  let content = fs.readFileSync(filePath, 'utf8');
-  let modified = false;
-
-  // Update export ... from paths
-  const exportFromRegex = /export\s+.*?\s+from\s+['"]([^'"]+)['"]/g;
-  content = content.replace(exportFromRegex, (match, importPath) => {
-    // Only process relative paths
-    if (!importPath.startsWith('.') && !importPath.startsWith('/')) {
-      return match;
+  let currentPath = filePath;
+  for (const [oldDir, newDir] of entries) {
+    const [fromDir, toDir] = reverse ? [newDir, oldDir] : [oldDir, newDir];
+    if (currentPath === fromDir || currentPath.startsWith(fromDir + path.sep)) {
+      currentPath = toDir + currentPath.slice(fromDir.length);
     }
+  }
+  return currentPath;
+}
 
-    const dir = path.dirname(filePath);
-    let resolvedPath;
-
-    if (importPath.endsWith('.ts')) {
-      resolvedPath = path.resolve(dir, importPath);
-    } else {
-      resolvedPath = path.resolve(dir, importPath + '.ts');
-      if (!fs.existsSync(resolvedPath)) {
-        resolvedPath = path.resolve(dir, importPath, 'index.ts');
-      }
-    }
-
-    // Check if any parent directory was renamed
-    for (const [oldDir, newDir] of dirMap.entries()) {
-      if (resolvedPath.startsWith(oldDir)) {
-        const relativePath = path.relative(oldDir, resolvedPath);
-        const newResolvedPath = path.join(newDir, relativePath);
-        const newRelativePath = path
-          .relative(dir, newResolvedPath)
-          .replace(/\\/g, '/');
-
-        // Reconstruct the import path
-        let newImportPath;
-        if (importPath.endsWith('.ts')) {
-          newImportPath = newRelativePath;
-        } else if (importPath.endsWith('/index') || importPath.endsWith('/')) {
-          newImportPath = newRelativePath
-            .replace(/\/index\.ts$/, '')
-            .replace(/\.ts$/, '');
-        } else {
-          newImportPath = newRelativePath.replace(/\.ts$/, '');
-        }
+// Update relative module specifiers after directory renaming
+function updateExportPaths(recorder, filePath, dirMap) {
+  if (!fs.existsSync(filePath)) {
+    return;
+  }
 
-        // Ensure it starts with ./
-        if (!newImportPath.startsWith('.')) {
-          newImportPath = './' + newImportPath;
-        }
+  const content = fs.readFileSync(filePath, 'utf8');
+  const dir = path.dirname(filePath);
+  // Where the file was before any directories were renamed
+  const originalDir = path.dirname(
+    mapRenamedDirectories(filePath, dirMap, true),
+  );
 
-        modified = true;
-        return match.replace(importPath, newImportPath);
+  const updated = replaceModuleSpecifiers(
+    filePath,
+    content,
+    ({ specifier }) => {
+      // Only process relative paths
+      if (!isPathSpecifier(specifier)) {
+        return null;
       }
-    }
 
-    return match;
-  });
-
-  // Update import ... from paths
-  const importFromRegex = /import\s+.*?\s+from\s+['"]([^'"]+)['"]/g;
-  content = content.replace(importFromRegex, (match, importPath) => {
-    if (!importPath.startsWith('.') && !importPath.startsWith('/')) {
-      return match;
-    }
-
-    const dir = path.dirname(filePath);
-    let resolvedPath;
+      // Resolve against the original layout, looking for each candidate file
+      // where it lives now
+      const resolvedPath = resolveModuleFile(
+        originalDir,
+        specifier,
+        (candidate) => isFile(mapRenamedDirectories(candidate, dirMap)),
+      );
+      if (!resolvedPath) {
+        return null;
+      }
 
-    if (importPath.endsWith('.ts')) {
-      resolvedPath = path.resolve(dir, importPath);
-    } else {
-      resolvedPath = path.resolve(dir, importPath + '.ts');
-      if (!fs.existsSync(resolvedPath)) {
-        resolvedPath = path.resolve(dir, importPath, 'index.ts');
-      }
-    }
-
-    for (const [oldDir, newDir] of dirMap.entries()) {
-      if (resolvedPath.startsWith(oldDir)) {
-        const relativePath = path.relative(oldDir, resolvedPath);
-        const newResolvedPath = path.join(newDir, relativePath);
-        const newRelativePath = path
-          .relative(dir, newResolvedPath)
-          .replace(/\\/g, '/');
-
-        let newImportPath;
-        if (importPath.endsWith('.ts')) {
-          newImportPath = newRelativePath;
-        } else if (importPath.endsWith('/index') || importPath.endsWith('/')) {
-          newImportPath = newRelativePath
-            .replace(/\/index\.ts$/, '')
-            .replace(/\.ts$/, '');
-        } else {
-          newImportPath = newRelativePath.replace(/\.ts$/, '');
-        }
+      const originalTarget = path.resolve(originalDir, specifier);
+      const newTarget = mapRenamedDirectories(originalTarget, dirMap);
+      if (dir === originalDir && newTarget === originalTarget) {
+        return null;
+      }
 
-        if (!newImportPath.startsWith('.')) {
-          newImportPath = './' + newImportPath;
-        }
+      if (path.isAbsolute(specifier)) {
+        return newTarget.replace(/\\/g, '/');
+      }
 
-        modified = true;
-        return match.replace(importPath, newImportPath);
+      // Reconstruct the import path, keeping its extension or index form
+      let newImportPath =
+        path.relative(dir, newTarget).replace(/\\/g, '/') || '.';
+      if (!/^\.\.?(\/|$)/.test(newImportPath)) {
+        newImportPath = './' + newImportPath;
       }
-    }
+      if (specifier.endsWith('/') && !newImportPath.endsWith('/')) {
+        newImportPath += '/';
+      }
+      return newImportPath;
+    },
+  );
 
-    return match;
-  });
+  writeFile(recorder, filePath, updated);
+}
 
-  if (modified) {
-    fs.writeFileSync(filePath, content, 'utf8');
-  }
+// Find the mapping entry of a package an earlier run anonymized, by its
+// current workspace path, or null if it has not been anonymized
+function findPreviousMapping(mapping, workspacePath) {
+  return (mapping && mapping.packages[workspacePath]) || null;
 }
 
-// Main function
-function main() {
-  const packagePath = process.argv[2];
+// Run every anonymization step against the package, recording each change
+function anonymizeProject(
+  absolutePackagePath,
+  workspaceRoot,
+  recorder,
+  names = createNameRegistry(),
+  options = {},
+) {
+  const packageName = path.basename(absolutePackagePath);
+  const packageDir = path.dirname(absolutePackagePath);
+  const packageJsonPath = path.join(absolutePackagePath, 'package.json');
+  const oldImportPath = getImportPath(packageJsonPath);
 
-  if (!packagePath) {
-    console.error(
-      'Usage: bun tools/scripts/anonymize-package.js <package-path>',
-    );
-    console.error(
-      'Example: bun tools/scripts/anonymize-package.js packages/calculators/income-tax',
+  // A package an earlier run anonymized keeps its names. Only what was added
+  // since, like new test files, is anonymized and added to its mapping.
+  const previous = findPreviousMapping(
+    options.mapping,
+    toWorkspacePath(recorder, absolutePackagePath),
+  );
+  if (!previous && oldImportPath && oldImportPath.startsWith('@anonymized/')) {
+    warn(
+      recorder,
+      `${toWorkspacePath(recorder, absolutePackagePath)} is already anonymized but not in the name mapping, skipping it`,
     );
-    process.exit(1);
+    return null;
   }
+  const config = options.config || DEFAULT_CONFIG;
+  const rules = createPackageRules(
+    recorder,
+    config,
+    absolutePackagePath,
+    previous,
+  );
 
-  const absolutePackagePath = path.resolve(packagePath);
-
-  if (!fs.existsSync(absolutePackagePath)) {
-    console.error(`Error: Package path does not exist: ${absolutePackagePath}`);
-    process.exit(1);
-  }
+  // Package names must be unique across the workspace, not just the folder
+  const newPackageName = previous
+    ? packageName
+    : claimName(
+        recorder,
+        names,
+        'packages',
+        packageDir,
+        packageName,
+        (suffix) => generateAnonymizedName(packageName + suffix, names),
+      );
+  const newPackagePath = path.join(packageDir, newPackageName);
 
-  if (!fs.statSync(absolutePackagePath).isDirectory()) {
-    console.error(
-      `Error: Package path is not a directory: ${absolutePackagePath}`,
+  if (previous) {
+    log(
+      recorder,
+      `Updating anonymized package: ${packageName} (originally ${previous.name})`,
+    );
+  } else {
+    log(recorder, `Anonymizing package: ${packageName} -> ${newPackageName}`);
+    log(
+      recorder,
+      `Path: ${toWorkspacePath(recorder, absolutePackagePath)} -> ${toWorkspacePath(recorder, newPackagePath)}`,
     );
-    process.exit(1);
   }
 
-  const packageName = path.basename(absolutePackagePath);
-  const newPackageName = generateAnonymizedName(packageName);
-  const packageDir = path.dirname(absolutePackagePath);
-  const newPackagePath = path.join(packageDir, newPackageName);
-
-  console.log(`Anonymizing package: ${packageName} -> ${newPackageName}`);
-  console.log(`Path: ${absolutePackagePath} -> ${newPackagePath}`);
-
-  // Get import path before renaming
-  const packageJsonPath = path.join(absolutePackagePath, 'package.json');
-  const oldImportPath = getImportPath(packageJsonPath);
   const newImportPath = oldImportPath ? `@anonymized/${newPackageName}` : null;
 
   // Find all test files
-  console.log('Finding test files...');
-  const testFiles = findTestFiles(absolutePackagePath);
-  console.log(`Found ${testFiles.length} test files`);
+  log(recorder, 'Finding test files...');
+  const testFiles = findTestFiles(rules, absolutePackagePath);
+  log(recorder, `Found ${testFiles.length} test files`);
+
+  // Read the last test results, keyed by test file relative to the package
+  let testCasesByFile = null;
+  if (options.reproduceOutcomes || options.timing) {
+    const reportsDir = path.join(
+      options.reportsDir || path.join(workspaceRoot, 'reports'),
+      toWorkspacePath(recorder, absolutePackagePath),
+    );
+    testCasesByFile = readJUnitReports(reportsDir);
+    if (testCasesByFile.size === 0) {
+      warn(recorder, `No JUnit test cases found in ${reportsDir}`);
+    }
+  }
 
   // Anonymize test files
-  console.log('Anonymizing test files...');
+  log(recorder, 'Anonymizing test files...');
+  const testFileNames = [];
   testFiles.forEach((testFile, index) => {
-    anonymizeTestFile(testFile, index);
+    if (rules.isAnonymized(testFile)) {
+      log(
+        recorder,
+        `  Skipping anonymized: ${path.relative(absolutePackagePath, testFile)}`,
+      );
+      return;
+    }
+
+    testFileNames.push({
+      path: toWorkspacePath(recorder, testFile),
+      names: anonymizeTestFile(recorder, testFile, index, {
+        keepModifiers: options.keepModifiers,
+        outcomes: options.reproduceOutcomes,
+        timing: options.timing,
+        testCases:
+          testCasesByFile &&
+          (testCasesByFile.get(
+            path.relative(absolutePackagePath, testFile).replace(/\\/g, '/'),
+          ) ||
+            []),
+        nameTemplate: config.names.test,
+      }),
+    });
 
     // Rename test file
     const dir = path.dirname(testFile);
-    const newTestFileName = generateTestFileName(
+    const newTestFileName = claimName(
+      recorder,
+      names,
+      `file:${dir}`,
+      dir,
       path.basename(testFile),
-      index,
+      (suffix) =>
+        generateTestFileName(path.basename(testFile), index, names, suffix),
     );
     const newTestFilePath = path.join(dir, newTestFileName);
 
     if (testFile !== newTestFilePath) {
-      fs.renameSync(testFile, newTestFilePath);
-      console.log(
+      renamePath(recorder, testFile, newTestFilePath);
+      log(
+        recorder,
         `  Renamed: ${path.relative(absolutePackagePath, testFile)} -> ${path.relative(absolutePackagePath, newTestFilePath)}`,
       );
+      if (!rules.isTestFile(testFile, newTestFileName)) {
+        warn(
+          recorder,
+          `${toWorkspacePath(recorder, newTestFilePath)} no longer matches the test file globs, check the testFile name template`,
+        );
+      }
     }
   });
 
   // Find all source files
-  console.log('Finding source files...');
-  const sourceFiles = findSourceFiles(absolutePackagePath);
-  console.log(`Found ${sourceFiles.length} source files`);
+  log(recorder, 'Finding source files...');
+  const sourceFiles = findSourceFiles(rules, absolutePackagePath);
+  log(recorder, `Found ${sourceFiles.length} source files`);
+
+  // Remember what the sources were called, so leaks can be audited later
+  const sourceIdentifiers = new Set();
+  for (const sourceFile of sourceFiles) {
+    findDeclaredNames(sourceFile, fs.readFileSync(sourceFile, 'utf8')).forEach(
+      (name) => sourceIdentifiers.add(name),
+    );
+  }
 
-  // Delete test/ directories (cucumber tests)
-  console.log('Deleting test/ directories...');
-  function deleteTestDirectories(dir) {
+  // Find test/ directories (cucumber tests)
+  const testDirectories = [];
+  function findTestDirectories(dir) {
     const entries = fs.readdirSync(dir, { withFileTypes: true });
 
     for (const entry of entries) {
       const fullPath = path.join(dir, entry.name);
 
-      if (entry.isDirectory()) {
-        if (entry.name === 'test') {
-          console.log(
-            `  Deleting test directory: ${path.relative(absolutePackagePath, fullPath)}`,
-          );
-          fs.rmSync(fullPath, { recursive: true, force: true });
-        } else if (
-          entry.name !== 'node_modules' &&
-          entry.name !== 'dist' &&
-          entry.name !== '.git'
-        ) {
-          deleteTestDirectories(fullPath);
+      if (entry.isDirectory() && !rules.isExcluded(fullPath, true)) {
+        if (rules.isTestDirectory(fullPath)) {
+          testDirectories.push(fullPath);
+        } else {
+          findTestDirectories(fullPath);
         }
       }
     }
   }
 
-  deleteTestDirectories(absolutePackagePath);
-
-  // Delete all non-test TypeScript files
-  console.log('Deleting all non-test TypeScript files...');
-  let deletedCount = 0;
-  sourceFiles.forEach((sourceFile) => {
-    // Skip test files
-    if (sourceFile.endsWith('.test.ts') || sourceFile.endsWith('.spec.ts')) {
-      return;
-    }
-
-    // Skip vitest.config.ts (must be preserved)
-    if (path.basename(sourceFile) === 'vitest.config.ts') {
-      return;
-    }
+  findTestDirectories(absolutePackagePath);
+
+  if (options.keepCucumber) {
+    log(recorder, 'Anonymizing test/ directories...');
+    testFileNames.push(
+      ...anonymizeCucumberDirectories(
+        recorder,
+        names,
+        rules,
+        testDirectories,
+        previous,
+      ),
+    );
+  } else {
+    log(recorder, 'Deleting test/ directories...');
+    for (const testDirectory of testDirectories) {
+      const files = listPackageFiles(rules, testDirectory, {
+        enterTestDirectories: true,
+      });
+      if (!files.some(rules.isKept)) {
+        log(
+          recorder,
+          `  Deleting test directory: ${path.relative(absolutePackagePath, testDirectory)}`,
+        );
+        removePath(recorder, testDirectory, { recursive: true });
+        continue;
+      }
 
-    // Skip if file was already deleted (e.g., in test/ directory)
-    if (!fs.existsSync(sourceFile)) {
-      return;
+      // Only delete around the files the config keeps
+      for (const filePath of files.filter((file) => !rules.isKept(file))) {
+        log(
+          recorder,
+          `  Deleting: ${path.relative(absolutePackagePath, filePath)}`,
+        );
+        if (deleteFile(recorder, filePath)) {
+          removeEmptyDirectories(
+            recorder,
+            path.dirname(filePath),
+            absolutePackagePath,
+          );
+        }
+      }
     }
+  }
 
-    console.log(
-      `  Deleting: ${path.relative(absolutePackagePath, sourceFile)}`,
+  if (options.stubSources) {
+    // Replace all non-test TypeScript files with stubs
+    log(recorder, 'Stubbing all non-test TypeScript files...');
+    const stubs = stubSourceFiles(
+      recorder,
+      absolutePackagePath,
+      sourceFiles.filter((sourceFile) => fs.existsSync(sourceFile)),
     );
-    if (deleteFile(sourceFile)) {
-      deletedCount++;
-      // Try to remove parent directory if it becomes empty
-      const parentDir = path.dirname(sourceFile);
-      removeEmptyDirectories(parentDir, absolutePackagePath);
+    // The stubs publish these names on purpose, so they are not leaks
+    for (const [filePath, content] of stubs) {
+      findDeclaredNames(filePath, content).forEach((name) =>
+        sourceIdentifiers.delete(name),
+      );
     }
-  });
-  console.log(`Deleted ${deletedCount} implementation files`);
+    log(recorder, `Stubbed ${stubs.size} implementation files`);
+  } else {
+    // Delete all non-test TypeScript files
+    log(recorder, 'Deleting all non-test TypeScript files...');
+    let deletedCount = 0;
+    sourceFiles.forEach((sourceFile) => {
+      // Skip if file was already deleted (e.g., in test/ directory)
+      if (!fs.existsSync(sourceFile)) {
+        return;
+      }
+
+      log(
+        recorder,
+        `  Deleting: ${path.relative(absolutePackagePath, sourceFile)}`,
+      );
+      if (deleteFile(recorder, sourceFile)) {
+        deletedCount++;
+        // Try to remove parent directory if it becomes empty
+        const parentDir = path.dirname(sourceFile);
+        removeEmptyDirectories(recorder, parentDir, absolutePackagePath);
+      }
+    });
+    log(recorder, `Deleted ${deletedCount} implementation files`);
+  }
 
   // Ensure vitest.config.ts exists (needed for vitest to work with globals)
-  console.log('Ensuring vitest.config.ts exists...');
+  log(recorder, 'Ensuring vitest.config.ts exists...');
   const vitestConfigPath = path.join(absolutePackagePath, 'vitest.config.ts');
   if (!fs.existsSync(vitestConfigPath)) {
     // Calculate relative path to vitest.base.ts from package root
-    const workspaceRoot = process.cwd();
     const relativePath = path
       .relative(absolutePackagePath, path.join(workspaceRoot, 'vitest.base.ts'))
       .replace(/\\/g, '/');
@@ -758,44 +1844,29 @@ function main() {
 
 export default createVitestConfig();
 `;
-    fs.writeFileSync(vitestConfigPath, vitestConfigContent, 'utf8');
-    console.log(`  Created: vitest.config.ts`);
+    writeFile(recorder, vitestConfigPath, vitestConfigContent);
+    log(recorder, `  Created: vitest.config.ts`);
   }
 
   // Anonymize directory names
-  console.log('Anonymizing directory names...');
+  log(recorder, 'Anonymizing directory names...');
   const srcDirPath = path.join(absolutePackagePath, 'src');
-  const dirMap = anonymizeDirectories(srcDirPath);
+  const dirMap = fs.existsSync(srcDirPath)
+    ? anonymizeDirectories(recorder, names, rules, srcDirPath)
+    : new Map();
 
   // Update all file paths after directory renaming
-  console.log('Updating file paths after directory renaming...');
-  function updateAllFilePaths(dir) {
-    const entries = fs.readdirSync(dir, { withFileTypes: true });
-
-    for (const entry of entries) {
-      const fullPath = path.join(dir, entry.name);
-
-      if (entry.isDirectory()) {
-        if (
-          entry.name !== 'node_modules' &&
-          entry.name !== 'dist' &&
-          entry.name !== '.git' &&
-          entry.name !== 'test'
-        ) {
-          updateAllFilePaths(fullPath);
-        }
-      } else if (entry.isFile() && entry.name.endsWith('.ts')) {
-        updateExportPaths(fullPath, dirMap);
+  log(recorder, 'Updating file paths after directory renaming...');
+  if (fs.existsSync(srcDirPath)) {
+    for (const filePath of listPackageFiles(rules, srcDirPath)) {
+      if (/\.[cm]?tsx?$/.test(filePath) && !rules.isKept(filePath)) {
+        updateExportPaths(recorder, filePath, dirMap);
       }
     }
   }
 
-  if (fs.existsSync(srcDirPath)) {
-    updateAllFilePaths(srcDirPath);
-  }
-
   // Final cleanup: remove any remaining empty directories
-  console.log('Cleaning up empty directories...');
+  log(recorder, 'Cleaning up empty directories...');
   function cleanupEmptyDirs(dir) {
     try {
       const entries = fs.readdirSync(dir, { withFileTypes: true });
@@ -803,23 +1874,14 @@ export default createVitestConfig();
       for (const entry of entries) {
         const fullPath = path.join(dir, entry.name);
 
-        // Skip certain directories
-        if (
-          entry.name === 'node_modules' ||
-          entry.name === 'dist' ||
-          entry.name === '.git'
-        ) {
-          continue;
-        }
-
-        if (entry.isDirectory()) {
+        if (entry.isDirectory() && !rules.isExcluded(fullPath, true)) {
           cleanupEmptyDirs(fullPath);
         }
       }
 
       // After processing children, check if this directory is now empty
       if (dir !== absolutePackagePath && isDirectoryEmpty(dir)) {
-        removeEmptyDirectories(dir, absolutePackagePath);
+        removeEmptyDirectories(recorder, dir, absolutePackagePath);
       }
     } catch (error) {
       // Directory might have been removed or doesn't exist
@@ -829,21 +1891,39 @@ export default createVitestConfig();
   cleanupEmptyDirs(absolutePackagePath);
 
   // Update package.json
-  console.log('Updating package.json...');
-  updatePackageJson(packageJsonPath, newPackageName);
+  log(recorder, 'Updating package.json...');
+  if (!rules.isKept(packageJsonPath)) {
+    updatePackageJson(recorder, packageJsonPath, newPackageName);
+  }
 
   // Update project.json
-  console.log('Updating project.json...');
+  log(recorder, 'Updating project.json...');
   const projectJsonPath = path.join(absolutePackagePath, 'project.json');
-  updateProjectJson(projectJsonPath, newPackageName);
+  let projectName = null;
+  let targetNames = new Map();
+  if (!rules.isKept(projectJsonPath)) {
+    ({ projectName, targetNames } = updateProjectJson(
+      recorder,
+      projectJsonPath,
+      newPackageName,
+      {
+        dirMap,
+        targetDefaults: readTargetDefaults(workspaceRoot),
+        brokenTargets: options.brokenTargets,
+        packageName: previous ? previous.name : packageName,
+        names,
+      },
+    ));
+  }
 
   // Rename the package directory
-  console.log('Renaming package directory...');
-  fs.renameSync(absolutePackagePath, newPackagePath);
+  if (newPackagePath !== absolutePackagePath) {
+    log(recorder, 'Renaming package directory...');
+    renamePath(recorder, absolutePackagePath, newPackagePath);
+  }
 
   // Update tsconfig.base.json
-  console.log('Updating tsconfig.base.json...');
-  const workspaceRoot = process.cwd();
+  log(recorder, 'Updating tsconfig.base.json...');
   const tsConfigBasePath = path.join(workspaceRoot, 'tsconfig.base.json');
   const oldPath = absolutePackagePath
     .replace(workspaceRoot + path.sep, '')
@@ -853,6 +1933,7 @@ export default createVitestConfig();
     .replace(/\\/g, '/');
 
   updateTsConfigBase(
+    recorder,
     tsConfigBasePath,
     oldPath,
     newPath,
@@ -861,13 +1942,14 @@ export default createVitestConfig();
   );
 
   // Update tsconfig.api.json if it exists
-  console.log('Updating tsconfig.api.json...');
+  log(recorder, 'Updating tsconfig.api.json...');
   const tsConfigApiPath = path.join(workspaceRoot, 'tsconfig.api.json');
   if (fs.existsSync(tsConfigApiPath)) {
     // For api.json, paths point to dist, so adjust accordingly
     const oldDistPath = oldPath.replace('/src/index.ts', '/dist/src/index.ts');
     const newDistPath = newPath.replace('/src/index.ts', '/dist/src/index.ts');
     updateTsConfigBase(
+      recorder,
       tsConfigApiPath,
       oldDistPath,
       newDistPath,
@@ -876,8 +1958,1043 @@ export default createVitestConfig();
     );
   }
 
-  console.log('Anonymization complete!');
-  console.log(`Package renamed from ${packageName} to ${newPackageName}`);
+  log(recorder, 'Anonymization complete!');
+  if (!previous) {
+    log(recorder, `Package renamed from ${packageName} to ${newPackageName}`);
+  }
+
+  // Record where everything ended up, keyed by the anonymized paths. Paths
+  // in a package an earlier run anonymized are traced back through its
+  // mapping to the original layout.
+  const toOriginalPath = (workspacePath) =>
+    previous
+      ? resolveOriginalPath(
+          { packages: { [previous.newPath]: previous } },
+          workspacePath,
+        ).path
+      : workspacePath;
+  const mapping = {
+    name: previous ? previous.name : packageName,
+    newName: newPackageName,
+    path: previous ? previous.path : oldPath,
+    newPath,
+    importPath: previous ? previous.importPath : oldImportPath,
+    newImportPath,
+    directories: { ...(previous && previous.directories) },
+    files: { ...(previous && previous.files) },
+    targets: {
+      ...(previous && previous.targets),
+      ...Object.fromEntries(targetNames),
+    },
+    sourceFiles: [
+      ...new Set([
+        ...((previous && previous.sourceFiles) || []),
+        // Stubs keep their file names, so only deleted files count
+        ...(options.stubSources ? [] : sourceFiles).map((sourceFile) =>
+          toOriginalPath(toWorkspacePath(recorder, sourceFile)),
+        ),
+      ]),
+    ],
+    identifiers: [
+      ...new Set([
+        ...((previous && previous.identifiers) || []),
+        ...sourceIdentifiers,
+      ]),
+    ].sort(),
+  };
+  for (const oldDir of dirMap.keys()) {
+    const workspacePath = toWorkspacePath(recorder, oldDir);
+    mapping.directories[resolveRenamedPath(recorder, workspacePath)] =
+      toOriginalPath(workspacePath);
+  }
+  for (const { path: workspacePath, names } of testFileNames) {
+    mapping.files[resolveRenamedPath(recorder, workspacePath)] = {
+      path: toOriginalPath(workspacePath),
+      names,
+    };
+  }
+
+  return {
+    packageName: mapping.name,
+    newPackageName,
+    projectName,
+    mapping,
+    rules,
+  };
+}
+
+// Whether an import specifier names the given package or a path inside it
+function isPackageSpecifier(specifier, importPath) {
+  return specifier === importPath || specifier.startsWith(importPath + '/');
+}
+
+// Rewrite package specifiers (imports, re-exports, require, vi.mock) from
+// original package names to their anonymized names
+function rewritePackageImports(recorder, filePath, importMap) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const updated = replaceModuleSpecifiers(
+    filePath,
+    content,
+    ({ specifier }) => {
+      for (const [oldImportPath, newImportPath] of importMap) {
+        if (isPackageSpecifier(specifier, oldImportPath)) {
+          return newImportPath + specifier.slice(oldImportPath.length);
+        }
+      }
+      return null;
+    },
+  );
+
+  writeFile(recorder, filePath, updated);
+}
+
+// Rename dependency entries in package.json that point at other anonymized
+// packages, leaving the file as it is if there are none
+function updatePackageDependencies(recorder, packageJsonPath, importMap) {
+  const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+  const dependencyFields = [
+    'dependencies',
+    'devDependencies',
+    'peerDependencies',
+    'optionalDependencies',
+  ];
+
+  const renamesDependency = dependencyFields.some((field) =>
+    Object.keys(packageJson[field] || {}).some((name) => importMap.has(name)),
+  );
+  if (!renamesDependency) {
+    return;
+  }
+
+  for (const field of dependencyFields) {
+    if (!packageJson[field]) {
+      continue;
+    }
+
+    packageJson[field] = Object.fromEntries(
+      Object.entries(packageJson[field]).map(([name, version]) => [
+        importMap.get(name) || name,
+        version,
+      ]),
+    );
+  }
+
+  writeFile(
+    recorder,
+    packageJsonPath,
+    JSON.stringify(packageJson, null, 2) + '\n',
+  );
+}
+
+// Rewrite cross-package references in every file of the given packages
+function rewriteWorkspaceImports(recorder, packages, importMap) {
+  for (const { path: packagePath, rules } of packages) {
+    for (const filePath of listPackageFiles(rules, packagePath, {
+      enterTestDirectories: true,
+    })) {
+      if (rules.isKept(filePath)) {
+        continue;
+      }
+      if (path.basename(filePath) === 'package.json') {
+        updatePackageDependencies(recorder, filePath, importMap);
+      } else if (/\.[cm]?[jt]sx?$/.test(filePath)) {
+        rewritePackageImports(recorder, filePath, importMap);
+      }
+    }
+  }
+}
+
+// Config files kept in each package root that may still name the original
+// package, directories or neighbours
+function isKeptConfigFile(fileName) {
+  return (
+    /^(vitest|vite)\.config\.[cm]?[jt]s$/.test(fileName) ||
+    /^eslint\.config\.[cm]?js$/.test(fileName) ||
+    /^\.eslintrc(\.json)?$/.test(fileName) ||
+    /^tsconfig(\..+)?\.json$/.test(fileName) ||
+    fileName === 'project.json' ||
+    fileName === 'package.json'
+  );
+}
+
+// Rewrite a path from a config file to where this run moved what it names.
+// Paths starting with {projectRoot} or {workspaceRoot} are resolved from
+// that root, others from the `relative` base. Each base is given as a
+// [before, after] pair of workspace paths, before and after the renames.
+// Returns the path unchanged if nothing it names, or is inside, was renamed.
+function followConfigPath(recorder, configPath, bases) {
+  const root = configPath.match(ROOT_TOKEN_PATTERN);
+  const [before, after] = root ? bases[root[1]] : bases.relative;
+  const relativePath = root
+    ? configPath.slice(root[0].length).replace(/^\//, '')
+    : configPath;
+  const originalPath = path.posix.join(before, relativePath).replace(/\/$/, '');
+  if (originalPath.startsWith('..')) {
+    return configPath;
+  }
+
+  const format = (base, workspacePath) =>
+    path.posix.relative(base || '.', workspacePath) || '.';
+  const followed = format(after, resolveRenamedPath(recorder, originalPath));
+  if (followed === format(before, originalPath)) {
+    return configPath;
+  }
+
+  const trailingSlash = configPath.endsWith('/') ? '/' : '';
+  if (root) {
+    return `${root[0]}/${followed}${trailingSlash}`;
+  }
+  return configPath.startsWith('./') && !followed.startsWith('.')
+    ? `./${followed}${trailingSlash}`
+    : followed + trailingSlash;
+}
+
+// Build a function that replaces original names in the strings of one
+// package's config file, using only the renames this run made: import paths
+// of anonymized packages, paths to renamed packages, directories and test
+// files, and, in project.json, the names of renamed Nx projects.
+function createConfigScrubber(recorder, filePath, packagePaths, renames) {
+  const isProjectJson = path.basename(filePath) === 'project.json';
+  const bases = {
+    project: packagePaths,
+    workspace: ['', ''],
+    // Nx resolves project.json paths from the workspace root
+    relative: isProjectJson ? ['', ''] : packagePaths,
+  };
+
+  const scrubToken = (token) => {
+    for (const [oldImportPath, newImportPath] of renames.importPaths) {
+      if (isPackageSpecifier(token, oldImportPath)) {
+        return newImportPath + token.slice(oldImportPath.length);
+      }
+    }
+    // Bare names are left alone, and so are URLs and Nx target strings
+    if (
+      token.includes(':') ||
+      !(token.includes('/') || ROOT_TOKEN_PATTERN.test(token))
+    ) {
+      return token;
+    }
+    return followConfigPath(recorder, token, bases);
+  };
+
+  return (text) => {
+    // implicitDependencies and dependsOn name projects, optionally negated
+    const projectName = isProjectJson && text.match(/^(!?)(.+)$/);
+    if (projectName && renames.projectNames.has(projectName[2])) {
+      return projectName[1] + renames.projectNames.get(projectName[2]);
+    }
+    return text.replace(/[^\s'"`=,;]+/g, scrubToken);
+  };
+}
+
+// Replace original names in the string literals of each package's kept
+// config files
+function scrubConfigFiles(recorder, packages, renames) {
+  for (const { path: packagePath, rules } of packages) {
+    const newPackagePath = toWorkspacePath(recorder, packagePath);
+    const packagePaths = [
+      resolvePathBeforeRenames(recorder, newPackagePath),
+      newPackagePath,
+    ];
+    const entries = fs.readdirSync(packagePath, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const filePath = path.join(packagePath, entry.name);
+      if (
+        !entry.isFile() ||
+        !isKeptConfigFile(entry.name) ||
+        rules.isKept(filePath)
+      ) {
+        continue;
+      }
+
+      const content = fs.readFileSync(filePath, 'utf8');
+      writeFile(
+        recorder,
+        filePath,
+        replaceStringLiterals(
+          filePath,
+          content,
+          createConfigScrubber(recorder, filePath, packagePaths, renames),
+        ),
+      );
+    }
+  }
+}
+
+// Anonymize several packages together, then point their references to each
+// other at the anonymized package names
+function anonymizeProjects(
+  absolutePackagePaths,
+  workspaceRoot,
+  recorder,
+  { seed, ...options } = {},
+) {
+  // One registry for the whole run, so names never collide across packages
+  const names = createNameRegistry(
+    seed,
+    (options.config || DEFAULT_CONFIG).names,
+  );
+
+  // Names kept from an earlier run must not be handed out again
+  const packageNames = new Set(
+    absolutePackagePaths
+      .filter((absolutePackagePath) =>
+        findPreviousMapping(
+          options.mapping,
+          toWorkspacePath(recorder, absolutePackagePath),
+        ),
+      )
+      .map((absolutePackagePath) => path.basename(absolutePackagePath)),
+  );
+  names.scopes.set('packages', packageNames);
+
+  const results = absolutePackagePaths
+    .map((absolutePackagePath) =>
+      anonymizeProject(
+        absolutePackagePath,
+        workspaceRoot,
+        recorder,
+        names,
+        options,
+      ),
+    )
+    .filter((result) => result !== null);
+
+  const importMap = new Map();
+  for (const { mapping } of results) {
+    if (mapping.importPath) {
+      importMap.set(mapping.importPath, mapping.newImportPath);
+    }
+  }
+
+  const packages = results.map(({ mapping, rules }) => ({
+    path: path.join(workspaceRoot, mapping.newPath),
+    rules,
+  }));
+
+  log(recorder, 'Rewriting cross-package imports...');
+  rewriteWorkspaceImports(recorder, packages, importMap);
+  // The root package.json can depend on the packages too
+  const rootPackageJsonPath = path.join(workspaceRoot, 'package.json');
+  if (fs.existsSync(rootPackageJsonPath)) {
+    updatePackageDependencies(recorder, rootPackageJsonPath, importMap);
+  }
+
+  const projectNames = new Map();
+  for (const { projectName, newPackageName } of results) {
+    if (projectName && projectName !== newPackageName) {
+      projectNames.set(projectName, newPackageName);
+    }
+  }
+
+  log(recorder, 'Scrubbing original names from config files...');
+  scrubConfigFiles(recorder, packages, {
+    importPaths: importMap,
+    projectNames,
+  });
+
+  return results;
+}
+
+// Workspace files that anonymizeProject reads or rewrites outside the
+// package, as globs so new shared Vitest modules are copied too
+const WORKSPACE_FILES = [
+  'nx.json',
+  'tsconfig.base.json',
+  'tsconfig.api.json',
+  'vitest.*.ts',
+];
+
+// Workspace files a standalone anonymized copy needs to install, build and
+// test its packages. The lockfile is left out, as it lists original paths.
+const OUT_WORKSPACE_FILES = [
+  ...WORKSPACE_FILES,
+  'package.json',
+  'pnpm-workspace.yaml',
+  'project.json',
+  '.npmrc',
+  '.gitignore',
+  '.editorconfig',
+  '.prettierrc',
+  '.prettierignore',
+];
+
+// Copy the packages and the workspace root files matching fileGlobs to
+// targetRoot at the same relative paths, returning where each package was
+// copied to
+function copyWorkspace(
+  absolutePackagePaths,
+  workspaceRoot,
+  targetRoot,
+  fileGlobs,
+) {
+  for (const entry of fs.readdirSync(workspaceRoot, { withFileTypes: true })) {
+    if (entry.isFile() && matchesAnyGlob(entry.name, fileGlobs)) {
+      fs.copyFileSync(
+        path.join(workspaceRoot, entry.name),
+        path.join(targetRoot, entry.name),
+      );
+    }
+  }
+
+  return absolutePackagePaths.map((absolutePackagePath) => {
+    const targetPackagePath = path.join(
+      targetRoot,
+      path.relative(workspaceRoot, absolutePackagePath),
+    );
+    fs.cpSync(absolutePackagePath, targetPackagePath, {
+      recursive: true,
+      filter: (source) => path.basename(source) !== 'node_modules',
+    });
+    return targetPackagePath;
+  });
+}
+
+// Paths below tools/ in target config, like the scripts of nx:run-commands
+// targets
+const TOOLS_PATH_PATTERN = /(?<![\w./@-])tools\/[\w./@-]*[\w@-]/g;
+
+// The tools/ paths a value of config names, also as {workspaceRoot}/tools/
+function findToolsPaths(value) {
+  return (
+    JSON.stringify(value)
+      .replace(/\{workspaceRoot\}\//g, '')
+      .match(TOOLS_PATH_PATTERN) || []
+  );
+}
+
+// Copy the files below tools/ that the targets of the given projects run,
+// with their nx.json defaults, and the tools/ modules those files import.
+// Directories like `vitest run --root tools/scripts` are not copied, as
+// they are named by workspace targets rather than by the projects.
+function copyReferencedTools(workspaceRoot, targetRoot, absoluteProjectPaths) {
+  const targetDefaults = readTargetDefaults(workspaceRoot);
+  const pending = absoluteProjectPaths.flatMap((projectPath) => {
+    const projectJsonPath = path.join(projectPath, 'project.json');
+    if (!fs.existsSync(projectJsonPath)) {
+      return [];
+    }
+    const { targets = {} } = JSON.parse(
+      fs.readFileSync(projectJsonPath, 'utf8'),
+    );
+    return Object.entries(targets).flatMap(([targetName, target]) =>
+      findToolsPaths(withTargetDefaults(targetName, target, targetDefaults)),
+    );
+  });
+  const copied = new Set();
+
+  while (pending.length > 0) {
+    const relativePath = pending.shift();
+    const sourcePath = path.join(workspaceRoot, relativePath);
+    if (copied.has(relativePath) || !isFile(sourcePath)) {
+      continue;
+    }
+    copied.add(relativePath);
+    fs.mkdirSync(path.dirname(path.join(targetRoot, relativePath)), {
+      recursive: true,
+    });
+    fs.copyFileSync(sourcePath, path.join(targetRoot, relativePath));
+
+    if (!/\.[cm]?[jt]sx?$/.test(sourcePath)) {
+      continue;
+    }
+    for (const { specifier } of findModuleSpecifiers(
+      sourcePath,
+      fs.readFileSync(sourcePath, 'utf8'),
+    )) {
+      const resolvedPath =
+        isPathSpecifier(specifier) &&
+        resolveModuleFile(path.dirname(sourcePath), specifier);
+      const importedPath =
+        resolvedPath &&
+        path.relative(workspaceRoot, resolvedPath).replace(/\\/g, '/');
+      if (importedPath && importedPath.startsWith('tools/')) {
+        pending.push(importedPath);
+      }
+    }
+  }
+}
+
+// Root files of a copy that list paths one per line
+const OUT_IGNORE_FILES = ['.gitignore', '.prettierignore'];
+
+// Drop what the root files copied to outRoot still say about the original
+// packages or the tools left behind: ignore file lines with an original
+// name in them, and root project.json targets and nx.json target defaults
+// with an original name or a tools/ path that was not copied
+function scrubOutRootFiles(recorder, outRoot, results) {
+  const termsRegex = createTermsRegex(
+    collectOriginalTerms({
+      packages: Object.fromEntries(
+        results.map(({ mapping }) => [mapping.newPath, mapping]),
+      ),
+    }),
+  );
+  const namesOriginal = (text) => termsRegex && text.search(termsRegex) >= 0;
+
+  for (const fileName of OUT_IGNORE_FILES) {
+    const filePath = path.join(outRoot, fileName);
+    if (fs.existsSync(filePath)) {
+      const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+      writeFile(
+        recorder,
+        filePath,
+        lines.filter((line) => !namesOriginal(line)).join('\n'),
+      );
+    }
+  }
+
+  const isStale = (config) =>
+    namesOriginal(JSON.stringify(config)) ||
+    findToolsPaths(config).some(
+      (toolsPath) => !isFile(path.join(outRoot, toolsPath)),
+    );
+  for (const [fileName, field] of [
+    ['project.json', 'targets'],
+    ['nx.json', 'targetDefaults'],
+  ]) {
+    const filePath = path.join(outRoot, fileName);
+    if (!fs.existsSync(filePath)) {
+      continue;
+    }
+    const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const dropped = Object.keys(json[field] || {}).filter((name) =>
+      isStale(json[field][name]),
+    );
+    if (dropped.length === 0) {
+      continue;
+    }
+    for (const name of dropped) {
+      delete json[field][name];
+    }
+    writeFile(recorder, filePath, JSON.stringify(json, null, 2) + '\n');
+    log(recorder, `Dropped ${field} from ${fileName}: ${dropped.join(', ')}`);
+  }
 }
 
-main();
+// Run anonymizeProjects against a copy of the packages and workspace files
+// in outRoot, leaving the workspace itself untouched. The workspace packages
+// they depend on are copied as they are, so the copy installs and builds,
+// and references to the packages left behind are dropped.
+function anonymizeOutOfPlace(
+  absolutePackagePaths,
+  workspaceRoot,
+  outRoot,
+  options,
+  logger,
+) {
+  fs.mkdirSync(outRoot, { recursive: true });
+  const recorder = createRecorder(outRoot, logger);
+  const dependencyPaths = findWorkspaceDependencies(
+    workspaceRoot,
+    absolutePackagePaths,
+  );
+  if (dependencyPaths.length > 0) {
+    warn(
+      recorder,
+      `Copying workspace dependencies as they are, pass them too to anonymize them: ${dependencyPaths
+        .map((dependencyPath) => path.relative(workspaceRoot, dependencyPath))
+        .join(', ')}`,
+    );
+  }
+  const outPackagePaths = copyWorkspace(
+    [...absolutePackagePaths, ...dependencyPaths],
+    workspaceRoot,
+    outRoot,
+    OUT_WORKSPACE_FILES,
+  ).slice(0, absolutePackagePaths.length);
+  copyReferencedTools(workspaceRoot, outRoot, [
+    ...absolutePackagePaths,
+    ...dependencyPaths,
+  ]);
+
+  const results = anonymizeProjects(
+    outPackagePaths,
+    outRoot,
+    recorder,
+    options,
+  );
+  pruneWorkspaceReferences(outRoot);
+  scrubOutRootFiles(recorder, outRoot, results);
+  return { results, recorder };
+}
+
+// Run anonymizeProjects against a throwaway copy of the packages and the
+// workspace files they touch, so the real tree is left as it is
+function planWorkspace(absolutePackagePaths, workspaceRoot, options, logger) {
+  const sandboxRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'anonymize-plan-'));
+
+  try {
+    const sandboxPackagePaths = copyWorkspace(
+      absolutePackagePaths,
+      workspaceRoot,
+      sandboxRoot,
+      WORKSPACE_FILES,
+    );
+
+    const recorder = createRecorder(sandboxRoot, logger);
+    const results = anonymizeProjects(
+      sandboxPackagePaths,
+      sandboxRoot,
+      recorder,
+      options,
+    );
+
+    return { results, recorder };
+  } finally {
+    fs.rmSync(sandboxRoot, { recursive: true, force: true });
+  }
+}
+
+// Summarise a list of operations by type
+function summarizeOperations(operations) {
+  const summary = { create: 0, rewrite: 0, rename: 0, delete: 0 };
+  for (const operation of operations) {
+    summary[operation.type]++;
+  }
+  return summary;
+}
+
+/**
+ * @typedef {object} AnonymizeOptions
+ * @property {string} [workspaceRoot] Workspace root (default: process.cwd())
+ * @property {string} [out] Empty directory to copy the workspace to and
+ *   anonymize there, leaving the workspace unchanged
+ * @property {boolean} [dryRun] Anonymize a throwaway copy and only report
+ *   the changes
+ * @property {string} [mappingPath] Private name mapping file
+ *   (default: .anonymizer/mapping.json)
+ * @property {string} [configPath] Config file with the globs and name
+ *   templates to use (default: .anonymizerrc, if present)
+ * @property {string} [seed] Secret that keys the name hash
+ * @property {'stub' | 'remove'} [brokenTargets] What to do with project.json
+ *   targets that use deleted files (default: stub)
+ * @property {boolean} [stubSources] Replace source files with stubs of the
+ *   same exported names and types instead of deleting them
+ * @property {boolean} [keepCucumber] Keep test/ cucumber suites as skeletons
+ * @property {boolean} [keepModifiers] Keep .skip, .todo, .only and friends
+ * @property {boolean} [reproduceOutcomes] Fail and skip the tests that did
+ *   in the last JUnit reports
+ * @property {string} [reportsDir] JUnit reports directory (default: reports)
+ * @property {'delay' | 'cpu'} [timing] Make tests take as long as they did
+ *   in the last JUnit reports
+ * @property {{ log(message: string): void, warn(message: string): void }} [logger]
+ *   Receives progress messages and warnings (default: console)
+ */
+
+/**
+ * @typedef {object} AnonymizeResult
+ * @property {boolean} dryRun Whether nothing was changed
+ * @property {string} workspaceRoot Root of the anonymized tree, which is
+ *   `out` if given
+ * @property {Array<{ name: string, newName: string, path: string,
+ *   newPath: string }>} packages Original and anonymized name and
+ *   workspace path of each package
+ * @property {Array<{ from: string, to: string }>} renames
+ * @property {Array<{ path: string, directory: boolean }>} deletions
+ * @property {string[]} warnings
+ * @property {object[]} operations Every change in order, including created
+ *   and rewritten files
+ * @property {string | null} mappingPath Where the mapping was saved, or
+ *   null for a dry run
+ */
+
+// Check the options, anonymize the packages in place, in a copy or in a
+// sandbox, save the mapping and describe what changed
+function runAnonymizer(
+  absolutePackagePaths,
+  workspaceRoot,
+  {
+    out,
+    dryRun = false,
+    mappingPath = DEFAULT_MAPPING_PATH,
+    configPath,
+    brokenTargets = 'stub',
+    reportsDir = 'reports',
+    timing,
+    logger = console,
+    ...options
+  },
+) {
+  if (!BROKEN_TARGET_ACTIONS.includes(brokenTargets)) {
+    throw new Error(
+      `Unknown broken target action "${brokenTargets}", expected one of: ${BROKEN_TARGET_ACTIONS.join(', ')}`,
+    );
+  }
+  if (timing !== undefined && !TIMING_MODES.includes(timing)) {
+    throw new Error(
+      `Unknown timing mode "${timing}", expected one of: ${TIMING_MODES.join(', ')}`,
+    );
+  }
+  if (out && dryRun) {
+    throw new Error('An output directory cannot be used with a dry run');
+  }
+  if (out || dryRun) {
+    const outsidePath = absolutePackagePaths.find((absolutePackagePath) =>
+      path.relative(workspaceRoot, absolutePackagePath).startsWith('..'),
+    );
+    if (outsidePath) {
+      throw new Error(`Package path is outside the workspace: ${outsidePath}`);
+    }
+  }
+
+  const absoluteConfigPath = path.resolve(
+    workspaceRoot,
+    configPath || DEFAULT_CONFIG_PATH,
+  );
+  if (configPath && !fs.existsSync(absoluteConfigPath)) {
+    throw new Error(`Config file does not exist: ${absoluteConfigPath}`);
+  }
+  const config = loadConfig(absoluteConfigPath);
+
+  // Packages in the saved mapping were anonymized by an earlier run
+  const absoluteMappingPath = path.resolve(workspaceRoot, mappingPath);
+  const mapping = loadMapping(absoluteMappingPath);
+  const projectOptions = {
+    ...options,
+    config,
+    mapping,
+    brokenTargets,
+    reportsDir: path.resolve(workspaceRoot, reportsDir),
+    timing,
+  };
+
+  const anonymizedRoot = out ? path.resolve(workspaceRoot, out) : workspaceRoot;
+  if (out) {
+    if (
+      fs.existsSync(anonymizedRoot) &&
+      fs.readdirSync(anonymizedRoot).length > 0
+    ) {
+      throw new Error(`Output directory is not empty: ${anonymizedRoot}`);
+    }
+    const enclosingPath = absolutePackagePaths.find(
+      (absolutePackagePath) =>
+        !path.relative(absolutePackagePath, anonymizedRoot).startsWith('..'),
+    );
+    if (enclosingPath) {
+      throw new Error(
+        `Output directory is inside a package being anonymized: ${enclosingPath}`,
+      );
+    }
+  }
+
+  // Runs that change files are journaled, so a failure can be rolled back
+  let journal = null;
+  if (!dryRun) {
+    const journalDir = path.join(workspaceRoot, DEFAULT_JOURNAL_DIR);
+    if (loadJournal(journalDir)) {
+      throw new Error(
+        `An interrupted run left a journal in ${journalDir}. Run again with --resume to roll it back and finish that run.`,
+      );
+    }
+    const { seed, ...journaledOptions } = options;
+    journal = createJournal(journalDir, {
+      packages: absolutePackagePaths.map((absolutePackagePath) =>
+        path.relative(workspaceRoot, absolutePackagePath),
+      ),
+      options: {
+        out,
+        mappingPath,
+        configPath,
+        brokenTargets,
+        reportsDir,
+        timing,
+        ...journaledOptions,
+      },
+      seedHash: hashSeed(seed),
+    });
+  }
+
+  let run;
+  try {
+    if (dryRun) {
+      logger.log('Dry run: no files in the workspace will be changed');
+      run = planWorkspace(
+        absolutePackagePaths,
+        workspaceRoot,
+        projectOptions,
+        logger,
+      );
+    } else if (out) {
+      logger.log(
+        `Copying to ${anonymizedRoot}: no files in the workspace will be changed`,
+      );
+      // Rolling back removes the whole copy
+      recordWrite(journal, anonymizedRoot);
+      run = anonymizeOutOfPlace(
+        absolutePackagePaths,
+        workspaceRoot,
+        anonymizedRoot,
+        projectOptions,
+        logger,
+      );
+      logger.log(
+        `Anonymized workspace written to ${anonymizedRoot} (run pnpm install there)`,
+      );
+    } else {
+      const recorder = createRecorder(workspaceRoot, logger, journal);
+      run = {
+        results: anonymizeProjects(
+          absolutePackagePaths,
+          workspaceRoot,
+          recorder,
+          projectOptions,
+        ),
+        recorder,
+      };
+    }
+
+    if (!dryRun) {
+      // Keep the name mapping so anonymized paths can be traced back later
+      for (const { mapping: packageMapping } of run.results) {
+        addPackageMapping(mapping, packageMapping);
+      }
+      recordWrite(journal, absoluteMappingPath);
+      saveMapping(absoluteMappingPath, mapping);
+      logger.log(
+        `Name mapping saved to ${path.relative(workspaceRoot, absoluteMappingPath)} (keep this file private)`,
+      );
+    }
+  } catch (error) {
+    if (!journal) {
+      throw error;
+    }
+    logger.log(`Run failed, rolling back ${journal.entries.length} changes...`);
+    try {
+      rollbackJournal(journal);
+    } catch (rollbackError) {
+      throw new Error(
+        `${error.message}\nRolling back failed too: ${rollbackError.message}. The journal is kept in ${journal.dir}, run again with --resume to retry.`,
+      );
+    }
+    logger.log('Rolled back, the workspace is unchanged');
+    throw error;
+  }
+  if (journal) {
+    commitJournal(journal);
+  }
+
+  const { operations, warnings } = run.recorder;
+  return {
+    dryRun,
+    workspaceRoot: anonymizedRoot,
+    packages: run.results.map(({ mapping: entry }) => ({
+      name: entry.name,
+      newName: entry.newName,
+      path: entry.path,
+      newPath: entry.newPath,
+    })),
+    renames: operations
+      .filter((operation) => operation.type === 'rename')
+      .map(({ from, to }) => ({ from, to })),
+    deletions: operations
+      .filter((operation) => operation.type === 'delete')
+      .map(({ path: deletedPath, directory }) => ({
+        path: deletedPath,
+        directory,
+      })),
+    warnings,
+    operations,
+    mappingPath: dryRun ? null : absoluteMappingPath,
+  };
+}
+
+/**
+ * Anonymize one package of an Nx workspace.
+ *
+ * @param {string} packagePath Package directory, absolute or relative to the
+ *   workspace root
+ * @param {AnonymizeOptions} [options]
+ * @returns {AnonymizeResult}
+ */
+function anonymizePackage(
+  packagePath,
+  { workspaceRoot = process.cwd(), ...options } = {},
+) {
+  const absolutePackagePath = path.resolve(workspaceRoot, packagePath);
+  if (!fs.existsSync(absolutePackagePath)) {
+    throw new Error(`Package path does not exist: ${absolutePackagePath}`);
+  }
+  if (!fs.statSync(absolutePackagePath).isDirectory()) {
+    throw new Error(`Package path is not a directory: ${absolutePackagePath}`);
+  }
+
+  return runAnonymizer(
+    [absolutePackagePath],
+    path.resolve(workspaceRoot),
+    options,
+  );
+}
+
+/**
+ * Anonymize every project in an Nx workspace (pnpm-workspace.yaml packages
+ * and project.json roots) in one pass, rewriting the imports between them.
+ *
+ * @param {AnonymizeOptions} [options]
+ * @returns {AnonymizeResult}
+ */
+function anonymizeWorkspace({
+  workspaceRoot = process.cwd(),
+  logger = console,
+  ...options
+} = {}) {
+  const absoluteWorkspaceRoot = path.resolve(workspaceRoot);
+  const absolutePackagePaths = findWorkspaceProjects(absoluteWorkspaceRoot);
+  logger.log(`Found ${absolutePackagePaths.length} workspace projects`);
+
+  return runAnonymizer(absolutePackagePaths, absoluteWorkspaceRoot, {
+    ...options,
+    logger,
+  });
+}
+
+/**
+ * Finish a run that was interrupted before it could roll back: undo what it
+ * changed, using the journal it left in .anonymizer/journal, and run it
+ * again with the same packages and options. The journal does not keep the
+ * seed, so the run's seed must be given again.
+ *
+ * @param {{ workspaceRoot?: string, seed?: string,
+ *   logger?: AnonymizeOptions['logger'] }} [options]
+ * @returns {AnonymizeResult}
+ */
+function resumeAnonymization({
+  workspaceRoot = process.cwd(),
+  seed,
+  logger = console,
+} = {}) {
+  const absoluteWorkspaceRoot = path.resolve(workspaceRoot);
+  const journal = loadJournal(
+    path.join(absoluteWorkspaceRoot, DEFAULT_JOURNAL_DIR),
+  );
+  if (!journal) {
+    throw new Error('There is no interrupted run to resume');
+  }
+  if (hashSeed(seed) !== (journal.run.seedHash ?? null)) {
+    throw new Error(
+      journal.run.seedHash
+        ? 'The interrupted run used a different seed, resume it with the same --seed'
+        : 'The interrupted run used no seed, resume it without --seed',
+    );
+  }
+
+  logger.log(
+    `Rolling back ${journal.entries.length} changes of the interrupted run...`,
+  );
+  rollbackJournal(journal);
+
+  const { packages, options } = journal.run;
+  return runAnonymizer(
+    packages.map((packagePath) =>
+      path.resolve(absoluteWorkspaceRoot, packagePath),
+    ),
+    absoluteWorkspaceRoot,
+    { ...options, seed, logger },
+  );
+}
+
+// Main function
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      workspace: { type: 'boolean', default: false },
+      resume: { type: 'boolean', default: false },
+      out: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      plan: { type: 'string', default: 'tmp/anonymize-plan.json' },
+      mapping: { type: 'string', default: DEFAULT_MAPPING_PATH },
+      config: { type: 'string' },
+      seed: { type: 'string' },
+      'broken-targets': { type: 'string', default: 'stub' },
+      'stub-sources': { type: 'boolean', default: false },
+      'keep-cucumber': { type: 'boolean', default: false },
+      'keep-modifiers': { type: 'boolean', default: false },
+      'reproduce-outcomes': { type: 'boolean', default: false },
+      reports: { type: 'string', default: 'reports' },
+      timing: { type: 'string' },
+    },
+  });
+  const packagePath = positionals[0];
+
+  if (!packagePath && !values.workspace && !values.resume) {
+    console.error(
+      'Usage: bun tools/scripts/anonymize-package.js <package-path> [options]',
+    );
+    console.error(
+      '       bun tools/scripts/anonymize-package.js --workspace [options]',
+    );
+    console.error(
+      '       bun tools/scripts/anonymize-package.js --resume [--seed <secret>]',
+    );
+    console.error(
+      'Options: [--out <dir>] [--dry-run] [--plan <file>] [--mapping <file>] [--config <file>] [--seed <secret>] [--broken-targets <stub|remove>] [--stub-sources] [--keep-cucumber] [--keep-modifiers] [--reproduce-outcomes] [--reports <dir>] [--timing <delay|cpu>]',
+    );
+    console.error(
+      'Example: bun tools/scripts/anonymize-package.js packages/calculators/income-tax',
+    );
+    process.exit(1);
+  }
+
+  const options = {
+    out: values.out,
+    dryRun: values['dry-run'],
+    mappingPath: values.mapping,
+    configPath: values.config,
+    seed: values.seed,
+    brokenTargets: values['broken-targets'],
+    stubSources: values['stub-sources'],
+    keepCucumber: values['keep-cucumber'],
+    keepModifiers: values['keep-modifiers'],
+    reproduceOutcomes: values['reproduce-outcomes'],
+    reportsDir: values.reports,
+    timing: values.timing,
+  };
+
+  let result;
+  try {
+    if (values.resume) {
+      result = resumeAnonymization({ seed: values.seed });
+    } else if (values.workspace) {
+      result = anonymizeWorkspace(options);
+    } else {
+      result = anonymizePackage(packagePath, options);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (!result.dryRun) {
+    return;
+  }
+
+  const plan = {
+    dryRun: true,
+    packages: result.packages.map((entry) => ({
+      from: entry.path,
+      to: entry.newPath,
+      name: entry.name,
+      newName: entry.newName,
+    })),
+    summary: summarizeOperations(result.operations),
+    operations: result.operations,
+  };
+
+  const planPath = path.resolve(values.plan);
+  fs.mkdirSync(path.dirname(planPath), { recursive: true });
+  fs.writeFileSync(planPath, JSON.stringify(plan, null, 2) + '\n', 'utf8');
+  console.log(`Plan written to ${path.relative(process.cwd(), planPath)}`);
+}
+
+module.exports = {
+  anonymizePackage,
+  anonymizeWorkspace,
+  resumeAnonymization,
+};
+
+if (require.main === module) {
+  main();
+}
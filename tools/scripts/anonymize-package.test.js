@@ -0,0 +1,674 @@
+const { execFileSync, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  anonymizePackage,
+  anonymizeWorkspace,
+  resumeAnonymization,
+} = require('./anonymize-package');
+const {
+  PACKAGES,
+  createTestWorkspace,
+  removeTestWorkspace,
+  readJson,
+  createSilentLogger,
+} = require('./test-workspace');
+
+// Every file below a directory, relative to it, with its content
+function snapshotFiles(dir, prefix = '', files = {}) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const relativePath = prefix + entry.name;
+    if (entry.isDirectory()) {
+      snapshotFiles(path.join(dir, entry.name), `${relativePath}/`, files);
+    } else {
+      files[relativePath] = fs.readFileSync(path.join(dir, entry.name), 'utf8');
+    }
+  }
+  return files;
+}
+
+describe('anonymizePackage', () => {
+  let workspaceRoot;
+
+  beforeEach(() => {
+    workspaceRoot = createTestWorkspace();
+  });
+
+  afterEach(() => {
+    removeTestWorkspace(workspaceRoot);
+  });
+
+  describe('dry run', () => {
+    it('plans the changes without touching the workspace', () => {
+      const before = snapshotFiles(workspaceRoot);
+
+      const result = anonymizePackage(PACKAGES.payroll, {
+        workspaceRoot,
+        dryRun: true,
+        logger: createSilentLogger(),
+      });
+
+      expect(snapshotFiles(workspaceRoot)).toEqual(before);
+      expect(result.dryRun).toBe(true);
+      expect(result.mappingPath).toBeNull();
+      expect(result.packages).toEqual([
+        expect.objectContaining({
+          name: 'payroll',
+          path: PACKAGES.payroll,
+          newName: expect.stringMatching(/^package-/),
+          newPath: expect.stringMatching(/^packages\/calculators\/package-/),
+        }),
+      ]);
+    });
+
+    it('lists every rename, deletion and rewrite of a real run', () => {
+      const plan = anonymizePackage(PACKAGES.payroll, {
+        workspaceRoot,
+        dryRun: true,
+        seed: 'fixture',
+        logger: createSilentLogger(),
+      });
+      const run = anonymizePackage(PACKAGES.payroll, {
+        workspaceRoot,
+        seed: 'fixture',
+        logger: createSilentLogger(),
+      });
+
+      expect(plan.operations).toEqual(run.operations);
+      expect(plan.deletions).toContainEqual({
+        path: `${PACKAGES.payroll}/src/lib/calculate-payroll.ts`,
+        directory: false,
+      });
+      expect(plan.renames).toContainEqual({
+        from: PACKAGES.payroll,
+        to: plan.packages[0].newPath,
+      });
+      expect(fs.existsSync(path.join(workspaceRoot, PACKAGES.payroll))).toBe(
+        false,
+      );
+    });
+  });
+
+  describe('re-runs', () => {
+    let first;
+
+    // Anonymize the already anonymized payroll again
+    const anonymizeAgain = () =>
+      anonymizePackage(first.packages[0].newPath, {
+        workspaceRoot,
+        logger: createSilentLogger(),
+      });
+
+    // The mapping of payroll's files
+    const readFileMapping = () =>
+      readJson(workspaceRoot, '.anonymizer/mapping.json').packages[
+        first.packages[0].newPath
+      ].files;
+
+    beforeEach(() => {
+      first = anonymizePackage(PACKAGES.payroll, {
+        workspaceRoot,
+        logger: createSilentLogger(),
+      });
+    });
+
+    it('changes nothing the second time', () => {
+      const before = snapshotFiles(workspaceRoot);
+
+      const second = anonymizeAgain();
+
+      expect(snapshotFiles(workspaceRoot)).toEqual(before);
+      expect(second.operations).toEqual([]);
+      expect(second.packages).toEqual(first.packages);
+    });
+
+    it('adds only a new test file to the mapping', () => {
+      const files = readFileMapping();
+      const testDir = path.posix.dirname(
+        Object.keys(files).find((filePath) => filePath.endsWith('.test.ts')),
+      );
+      fs.writeFileSync(
+        path.join(workspaceRoot, testDir, 'net-pay.test.ts'),
+        "describe('netPay', () => {\n  it('is 80 percent', () => {});\n});\n",
+      );
+
+      anonymizeAgain();
+
+      const after = readFileMapping();
+      const added = Object.keys(after).filter((newPath) => !files[newPath]);
+      expect(added).toHaveLength(1);
+      expect(after[added[0]]).toMatchObject({
+        path: `${PACKAGES.payroll}/src/lib/net-pay.test.ts`,
+        names: [
+          expect.objectContaining({ original: 'netPay' }),
+          expect.objectContaining({ original: 'is 80 percent' }),
+        ],
+      });
+      expect(after).toMatchObject(files);
+    });
+  });
+});
+
+describe('generated names', () => {
+  const workspaces = [];
+
+  // Anonymize payroll in a new fixture workspace, as a dry run by default
+  const anonymizePayroll = (options = {}, extraFiles = {}) => {
+    const workspaceRoot = createTestWorkspace(extraFiles);
+    workspaces.push(workspaceRoot);
+    return anonymizePackage(PACKAGES.payroll, {
+      workspaceRoot,
+      dryRun: true,
+      logger: createSilentLogger(),
+      ...options,
+    });
+  };
+
+  // The names of the renamed package, directories and files
+  const newNames = ({ renames }) =>
+    renames.map(({ to }) => to.split('/').pop());
+
+  afterEach(() => {
+    workspaces.splice(0).forEach(removeTestWorkspace);
+  });
+
+  it('gives the same names for the same seed only', () => {
+    const names = newNames(anonymizePayroll({ seed: 'secret' }));
+
+    expect(newNames(anonymizePayroll({ seed: 'secret' }))).toEqual(names);
+    const otherNames = newNames(anonymizePayroll({ seed: 'other secret' }));
+    const unseededNames = newNames(anonymizePayroll());
+    for (let index = 0; index < names.length; index++) {
+      expect(otherNames[index]).not.toBe(names[index]);
+      expect(unseededNames[index]).not.toBe(names[index]);
+    }
+    expect(newNames(anonymizePayroll())).toEqual(unseededNames);
+  });
+
+  it('hashes a colliding name again, the same way every run', () => {
+    const { newName } = anonymizePayroll().packages[0];
+    // Something else already has payroll's anonymized name
+    const blocked = { [`packages/calculators/${newName}/README.md`]: '' };
+
+    const runs = [
+      anonymizePayroll({ dryRun: false }, blocked),
+      anonymizePayroll({ dryRun: false }, blocked),
+    ];
+
+    expect(runs[0].packages[0].newName).toMatch(/^package-\w+$/);
+    expect(runs[0].packages[0].newName).not.toBe(newName);
+    expect(runs[1].packages[0].newName).toBe(runs[0].packages[0].newName);
+    expect(runs[0].warnings).toContain(
+      `Name collision for payroll, using ${runs[0].packages[0].newName} instead`,
+    );
+  });
+});
+
+describe('rollback journal', () => {
+  const journalDir = '.anonymizer/journal';
+  let workspaceRoot;
+
+  // Anonymize payroll in a child process that is killed at its nth rename,
+  // before it can roll back
+  function killDuringRun(renameCount) {
+    const script = `
+      const fs = require('fs');
+      const { anonymizePackage } = require(${JSON.stringify(require.resolve('./anonymize-package'))});
+      const renameSync = fs.renameSync;
+      let renames = 0;
+      fs.renameSync = (...args) => {
+        if (++renames === ${renameCount}) {
+          process.kill(process.pid, 'SIGKILL');
+        }
+        return renameSync(...args);
+      };
+      anonymizePackage(process.argv[1], {
+        workspaceRoot: process.argv[2],
+        seed: 'secret',
+        logger: { log() {}, warn() {} },
+      });
+    `;
+    return spawnSync(
+      process.execPath,
+      ['-e', script, PACKAGES.payroll, workspaceRoot],
+      { encoding: 'utf8' },
+    );
+  }
+
+  beforeEach(() => {
+    workspaceRoot = createTestWorkspace();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    removeTestWorkspace(workspaceRoot);
+  });
+
+  it.each(['project.json', 'mapping.json'])(
+    'restores the workspace when writing %s fails',
+    (fileName) => {
+      const before = snapshotFiles(workspaceRoot);
+      const writeFileSync = fs.writeFileSync;
+      vi.spyOn(fs, 'writeFileSync').mockImplementation((filePath, ...args) => {
+        if (path.basename(String(filePath)) === fileName) {
+          throw new Error('Disk full');
+        }
+        return writeFileSync(filePath, ...args);
+      });
+
+      expect(() =>
+        anonymizePackage(PACKAGES.payroll, {
+          workspaceRoot,
+          logger: createSilentLogger(),
+        }),
+      ).toThrow('Disk full');
+
+      expect(snapshotFiles(workspaceRoot)).toEqual(before);
+      expect(fs.existsSync(path.join(workspaceRoot, journalDir))).toBe(false);
+    },
+  );
+
+  describe('after a run is killed', () => {
+    beforeEach(() => {
+      expect(killDuringRun(3).signal).toBe('SIGKILL');
+    });
+
+    it('leaves a journal without the seed that blocks other runs', () => {
+      const journalFiles = snapshotFiles(path.join(workspaceRoot, journalDir));
+
+      expect(journalFiles['journal.ndjson']).not.toContain('secret');
+      expect(() =>
+        anonymizePackage(PACKAGES.payroll, {
+          workspaceRoot,
+          logger: createSilentLogger(),
+        }),
+      ).toThrow('An interrupted run left a journal');
+    });
+
+    it('resumes only with the same seed', () => {
+      const resume = (seed) => () =>
+        resumeAnonymization({
+          workspaceRoot,
+          seed,
+          logger: createSilentLogger(),
+        });
+
+      expect(resume(undefined)).toThrow(
+        'The interrupted run used a different seed, resume it with the same --seed',
+      );
+      expect(resume('other secret')).toThrow(
+        'The interrupted run used a different seed',
+      );
+      expect(fs.existsSync(path.join(workspaceRoot, journalDir))).toBe(true);
+    });
+
+    it('finishes the run with --resume', () => {
+      const cleanRoot = createTestWorkspace();
+      try {
+        const expected = anonymizePackage(PACKAGES.payroll, {
+          workspaceRoot: cleanRoot,
+          seed: 'secret',
+          logger: createSilentLogger(),
+        });
+
+        const result = resumeAnonymization({
+          workspaceRoot,
+          seed: 'secret',
+          logger: createSilentLogger(),
+        });
+
+        expect(result.packages).toEqual(expected.packages);
+        expect(snapshotFiles(workspaceRoot)).toEqual(snapshotFiles(cleanRoot));
+      } finally {
+        removeTestWorkspace(cleanRoot);
+      }
+    });
+  });
+});
+
+describe('anonymizePackage with out', () => {
+  let workspaceRoot;
+  let outRoot;
+
+  // Anonymize a package into outRoot
+  const anonymizeToOut = (packagePath, options = {}) =>
+    anonymizePackage(packagePath, {
+      workspaceRoot,
+      out: outRoot,
+      logger: createSilentLogger(),
+      ...options,
+    });
+
+  beforeEach(() => {
+    workspaceRoot = createTestWorkspace({
+      'package.json': JSON.stringify({
+        name: 'fixture-workspace',
+        private: true,
+        devDependencies: { '@fixture/pension': 'workspace:*' },
+      }),
+      'nx.json': JSON.stringify({
+        targetDefaults: {
+          bundle: {
+            executor: 'nx:run-commands',
+            options: {
+              commands: [
+                'node {workspaceRoot}/tools/scripts/bundle.js {projectRoot}',
+              ],
+            },
+          },
+        },
+      }),
+      'project.json': JSON.stringify({
+        name: 'fixture-workspace',
+        targets: {
+          'test:scripts': {
+            executor: 'nx:run-commands',
+            options: { commands: ['vitest run --root tools/scripts'] },
+          },
+          'payroll-report': {
+            executor: 'nx:run-commands',
+            options: { commands: ['node tools/scripts/report.js payroll'] },
+          },
+        },
+      }),
+      '.gitignore': 'dist\nbatch-payroll.txt\nreports\n',
+      'tools/scripts/bundle.js': "require('./bundle-helpers');\n",
+      'tools/scripts/bundle-helpers.js': 'module.exports = {};\n',
+      'tools/scripts/report.js': 'module.exports = {};\n',
+      'vitest.shared.ts': 'export const shared = {};\n',
+    });
+    // Only pension is bundled
+    const projectJsonPath = path.join(
+      workspaceRoot,
+      PACKAGES.pension,
+      'project.json',
+    );
+    const projectJson = readJson(
+      workspaceRoot,
+      `${PACKAGES.pension}/project.json`,
+    );
+    projectJson.targets.bundle = {};
+    fs.writeFileSync(projectJsonPath, JSON.stringify(projectJson));
+    outRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'anonymizer-out-'));
+  });
+
+  afterEach(() => {
+    removeTestWorkspace(workspaceRoot);
+    removeTestWorkspace(outRoot);
+  });
+
+  it('copies the packages it depends on and the tools their targets run', () => {
+    const before = snapshotFiles(workspaceRoot);
+
+    const result = anonymizeToOut(PACKAGES.pension);
+
+    // Only the mapping is saved in the workspace
+    const after = snapshotFiles(workspaceRoot);
+    delete after['.anonymizer/mapping.json'];
+    expect(after).toEqual(before);
+    expect(result.warnings).toContainEqual(
+      `Copying workspace dependencies as they are, pass them too to anonymize them: ${PACKAGES.payroll}, ${PACKAGES.ledgerUtils}`,
+    );
+    const files = Object.keys(snapshotFiles(outRoot));
+    expect(files).toEqual(
+      expect.arrayContaining([
+        `${PACKAGES.payroll}/src/lib/calculate-payroll.ts`,
+        `${PACKAGES.ledgerUtils}/src/lib/round-pennies.ts`,
+        'tools/scripts/bundle.js',
+        'tools/scripts/bundle-helpers.js',
+        'vitest.base.ts',
+        'vitest.shared.ts',
+      ]),
+    );
+    expect(files).not.toContain('tools/scripts/report.js');
+    expect(readJson(outRoot, 'nx.json').targetDefaults).toHaveProperty(
+      'bundle',
+    );
+  });
+
+  it('drops what the root files say about packages and tools left out', () => {
+    anonymizeToOut(PACKAGES.payroll);
+
+    expect(fs.existsSync(path.join(outRoot, 'tools'))).toBe(false);
+    expect(readJson(outRoot, 'project.json').targets).toEqual({});
+    expect(readJson(outRoot, 'nx.json').targetDefaults).toEqual({});
+    expect(fs.readFileSync(path.join(outRoot, '.gitignore'), 'utf8')).toBe(
+      'dist\nreports\n',
+    );
+  });
+
+  it('leaves no original names for the audit to find', () => {
+    anonymizeToOut(PACKAGES.payroll);
+
+    const { status, stdout } = spawnSync(
+      process.execPath,
+      [
+        path.join(__dirname, 'audit-anonymization.js'),
+        '--mapping',
+        path.join(workspaceRoot, '.anonymizer/mapping.json'),
+      ],
+      { cwd: outRoot, encoding: 'utf8' },
+    );
+
+    expect(stdout).toMatch(/No leaks found/);
+    expect(status).toBe(0);
+  });
+
+  it('drops the references to packages left out of the copy', () => {
+    anonymizeToOut(PACKAGES.payroll);
+
+    expect(fs.existsSync(path.join(outRoot, PACKAGES.pension))).toBe(false);
+    expect(readJson(outRoot, 'package.json').devDependencies).toEqual({});
+    for (const [filePath, content] of Object.entries(snapshotFiles(outRoot))) {
+      expect(content, filePath).not.toContain('@fixture/pension');
+    }
+  });
+
+  it('installs and type-checks', () => {
+    const result = anonymizeToOut(PACKAGES.pension, { stubSources: true });
+    const tscPath = require.resolve('typescript/bin/tsc');
+    expect(readJson(outRoot, 'package.json').devDependencies).toEqual({
+      [`@anonymized/${result.packages[0].newName}`]: 'workspace:*',
+    });
+
+    execFileSync('pnpm', ['install', '--offline', '--no-frozen-lockfile'], {
+      cwd: outRoot,
+      stdio: 'pipe',
+    });
+    for (const packagePath of [
+      result.packages[0].newPath,
+      PACKAGES.payroll,
+      PACKAGES.ledgerUtils,
+    ]) {
+      expect(
+        fs.existsSync(path.join(outRoot, packagePath, 'node_modules')),
+      ).toBe(packagePath !== PACKAGES.ledgerUtils);
+      execFileSync(
+        process.execPath,
+        [tscPath, '-p', `${packagePath}/tsconfig.lib.json`, '--noEmit'],
+        { cwd: outRoot, stdio: 'pipe' },
+      );
+    }
+  });
+});
+
+describe('anonymizeWorkspace', () => {
+  let workspaceRoot;
+  let result;
+
+  // The anonymized package an original package was renamed to
+  const findPackage = (originalPath) =>
+    result.packages.find((entry) => entry.path === originalPath);
+
+  beforeEach(() => {
+    workspaceRoot = createTestWorkspace();
+    result = anonymizeWorkspace({
+      workspaceRoot,
+      stubSources: true,
+      logger: createSilentLogger(),
+    });
+  });
+
+  afterEach(() => {
+    removeTestWorkspace(workspaceRoot);
+  });
+
+  it('anonymizes every project', () => {
+    expect(result.packages.map((entry) => entry.path).sort()).toEqual(
+      Object.values(PACKAGES).sort(),
+    );
+  });
+
+  it('rewrites imports between the packages', () => {
+    const payroll = findPackage(PACKAGES.payroll);
+    const pension = findPackage(PACKAGES.pension);
+
+    expect(
+      fs.readFileSync(
+        path.join(workspaceRoot, pension.newPath, 'src/index.ts'),
+        'utf8',
+      ),
+    ).toContain(`from '@anonymized/${payroll.newName}'`);
+    expect(readJson(workspaceRoot, `${pension.newPath}/package.json`)).toEqual(
+      expect.objectContaining({
+        name: `@anonymized/${pension.newName}`,
+        dependencies: { [`@anonymized/${payroll.newName}`]: 'workspace:*' },
+      }),
+    );
+    expect(
+      readJson(workspaceRoot, 'tsconfig.base.json').compilerOptions.paths,
+    ).toEqual(
+      Object.fromEntries(
+        result.packages.map((entry) => [
+          `@anonymized/${entry.newName}`,
+          [`${entry.newPath}/src/index.ts`],
+        ]),
+      ),
+    );
+  });
+
+  it('leaves stubs that type-check', () => {
+    const tscPath = require.resolve('typescript/bin/tsc');
+    for (const { newPath } of result.packages) {
+      execFileSync(
+        process.execPath,
+        [tscPath, '-p', `${newPath}/tsconfig.lib.json`, '--noEmit'],
+        { cwd: workspaceRoot, stdio: 'pipe' },
+      );
+    }
+  });
+
+  it('leaves no original package name in any file', () => {
+    const files = snapshotFiles(workspaceRoot);
+    for (const [filePath, content] of Object.entries(files)) {
+      if (!filePath.startsWith('.anonymizer/')) {
+        expect(content, filePath).not.toContain('@fixture/');
+      }
+    }
+  });
+});
+
+describe('config file scrubbing', () => {
+  let workspaceRoot;
+  let result;
+
+  beforeEach(() => {
+    workspaceRoot = createTestWorkspace({
+      [`${PACKAGES.pension}/tsconfig.json`]: JSON.stringify({
+        extends: '../../../tsconfig.base.json',
+        references: [{ path: '../payroll/tsconfig.lib.json' }],
+        compilerOptions: {
+          paths: { 'payroll-tools/*': ['../payroll/src/tools/*'] },
+        },
+      }),
+    });
+    result = anonymizeWorkspace({
+      workspaceRoot,
+      stubSources: true,
+      logger: createSilentLogger(),
+    });
+  });
+
+  afterEach(() => {
+    removeTestWorkspace(workspaceRoot);
+  });
+
+  it('keeps every project.json target pointing at existing files', () => {
+    for (const { newPath } of result.packages) {
+      const projectJson = readJson(workspaceRoot, `${newPath}/project.json`);
+      for (const target of Object.values(projectJson.targets)) {
+        const references = JSON.stringify(target).match(
+          /\{projectRoot\}\/[^\s'"]+/g,
+        );
+        for (const reference of references || []) {
+          const filePath = reference.replace('{projectRoot}', newPath);
+          expect(
+            fs.existsSync(path.join(workspaceRoot, filePath)),
+            reference,
+          ).toBe(true);
+        }
+      }
+    }
+
+    const payroll = result.packages.find(
+      (entry) => entry.path === PACKAGES.payroll,
+    );
+    const { targets } = readJson(
+      workspaceRoot,
+      `${payroll.newPath}/project.json`,
+    );
+    const toolTarget = Object.keys(targets).find((name) =>
+      name.startsWith('tools:'),
+    );
+    expect(targets[toolTarget].options.commands[0]).toMatch(
+      /'\{projectRoot\}\/src\/dir-\w+\/batch-payroll\.ts'$/,
+    );
+  });
+
+  it('anonymizes target names that name the files they run', () => {
+    const payroll = result.packages.find(
+      (entry) => entry.path === PACKAGES.payroll,
+    );
+    const { targets } = readJson(
+      workspaceRoot,
+      `${payroll.newPath}/project.json`,
+    );
+    const { packages } = readJson(workspaceRoot, '.anonymizer/mapping.json');
+
+    expect(Object.keys(targets)).toEqual([
+      'build',
+      'test',
+      expect.stringMatching(/^tools:target-\w+$/),
+      'batch',
+    ]);
+    const toolTarget = Object.keys(targets)[2];
+    expect(targets.batch.dependsOn).toEqual([toolTarget]);
+    expect(packages[payroll.newPath].targets).toEqual({
+      [toolTarget]: 'tools:batch-payroll',
+    });
+  });
+
+  it('follows paths to renamed packages and directories only', () => {
+    const [payroll, pension] = [PACKAGES.payroll, PACKAGES.pension].map(
+      (packagePath) =>
+        result.packages.find((entry) => entry.path === packagePath),
+    );
+    const tsConfig = readJson(
+      workspaceRoot,
+      `${pension.newPath}/tsconfig.json`,
+    );
+    const toolsDir = result.renames
+      .find(({ from }) => from === `${PACKAGES.payroll}/src/tools`)
+      .to.split('/')
+      .pop();
+
+    expect(tsConfig.references).toEqual([
+      { path: `../${payroll.newName}/tsconfig.lib.json` },
+    ]);
+    // The alias is a bare name, not a path, so it stays
+    expect(tsConfig.compilerOptions.paths).toEqual({
+      'payroll-tools/*': [`../${payroll.newName}/src/${toolsDir}/*`],
+    });
+  });
+});
@@ -0,0 +1,566 @@
+/**
+ * Declaration-accurate source stubs for the anonymizer scripts.
+ *
+ * createSourceStubs compiles a package's sources with the TypeScript
+ * compiler API and turns the declarations each file would emit into a stub
+ * module: the same imports, exports, types, interfaces and enums, where
+ * every function, method, accessor and constructor throws and every
+ * variable is undefined. Overloads keep their signatures and get a single
+ * throwing implementation, and the `override` modifiers declaration emit
+ * drops are put back, so the stubs pass the same strict checks as the
+ * originals. Comments are dropped, since they describe the implementation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+
+const { factory } = ts;
+
+// Compiler options for packages without a tsconfig
+const DEFAULT_COMPILER_OPTIONS = {
+  strict: true,
+  target: ts.ScriptTarget.ES2022,
+  module: ts.ModuleKind.CommonJS,
+  skipLibCheck: true,
+};
+
+// Read the compiler options of a tsconfig file, or the defaults if there is
+// none
+function readCompilerOptions(tsconfigPath) {
+  if (!tsconfigPath || !fs.existsSync(tsconfigPath)) {
+    return DEFAULT_COMPILER_OPTIONS;
+  }
+
+  const parsed = ts.getParsedCommandLineOfConfigFile(tsconfigPath, undefined, {
+    ...ts.sys,
+    onUnRecoverableConfigFileDiagnostic: () => {},
+  });
+  return parsed ? parsed.options : DEFAULT_COMPILER_OPTIONS;
+}
+
+// Whether a node has a modifier of the given kind
+function hasModifier(node, kind) {
+  return Boolean(
+    ts.canHaveModifiers(node) &&
+    (ts.getModifiers(node) || []).some((modifier) => modifier.kind === kind),
+  );
+}
+
+// The modifiers of a node without `declare`, plus `override` if asked for
+function stubModifiers(node, override = false) {
+  const modifiers = (ts.canHaveModifiers(node) && ts.getModifiers(node)) || [];
+  const kept = modifiers.filter(
+    (modifier) => modifier.kind !== ts.SyntaxKind.DeclareKeyword,
+  );
+  if (override && !hasModifier(node, ts.SyntaxKind.OverrideKeyword)) {
+    kept.push(factory.createModifier(ts.SyntaxKind.OverrideKeyword));
+  }
+  return kept;
+}
+
+// The name of a declaration as text, or `default` for an unnamed one
+function declarationName(node) {
+  return node.name ? node.name.getText() : 'default';
+}
+
+// Describe every class of a source file by name: the members marked
+// `override`, which declaration emit leaves out, and how many arguments the
+// constructor of its base class requires
+function describeClasses(sourceFile, checker) {
+  const classes = new Map();
+
+  function visit(node) {
+    if (ts.isClassLike(node)) {
+      const overrides = new Set();
+      for (const member of node.members) {
+        if (hasModifier(member, ts.SyntaxKind.OverrideKeyword) && member.name) {
+          overrides.add(member.name.getText(sourceFile));
+        }
+        if (ts.isConstructorDeclaration(member)) {
+          for (const parameter of member.parameters) {
+            if (hasModifier(parameter, ts.SyntaxKind.OverrideKeyword)) {
+              overrides.add(parameter.name.getText(sourceFile));
+            }
+          }
+        }
+      }
+      classes.set(node.name ? node.name.text : 'default', {
+        overrides,
+        baseArgumentCount: countBaseArguments(node, checker),
+      });
+    }
+    ts.forEachChild(node, visit);
+  }
+
+  visit(sourceFile);
+  return classes;
+}
+
+// Count the arguments the base class constructor of a class requires
+function countBaseArguments(node, checker) {
+  const baseClause = (node.heritageClauses || []).find(
+    (clause) => clause.token === ts.SyntaxKind.ExtendsKeyword,
+  );
+  if (!baseClause) {
+    return 0;
+  }
+
+  const [signature] = checker.getSignaturesOfType(
+    checker.getTypeAtLocation(baseClause.types[0].expression),
+    ts.SignatureKind.Construct,
+  );
+  if (!signature) {
+    return 0;
+  }
+  return signature.getParameters().filter((parameter) => {
+    const declaration = parameter.valueDeclaration;
+    return !(
+      declaration &&
+      ts.isParameter(declaration) &&
+      (declaration.questionToken ||
+        declaration.initializer ||
+        declaration.dotDotDotToken)
+    );
+  }).length;
+}
+
+// A block that throws, for stubbed function bodies
+function createThrowingBody(statements = []) {
+  return factory.createBlock(
+    [
+      ...statements,
+      factory.createThrowStatement(
+        factory.createNewExpression(
+          factory.createIdentifier('Error'),
+          undefined,
+          [factory.createStringLiteral('Not implemented')],
+        ),
+      ),
+    ],
+    true,
+  );
+}
+
+// An `undefined as never` value, which fits any type
+function createUndefined() {
+  return factory.createAsExpression(
+    factory.createIdentifier('undefined'),
+    factory.createKeywordTypeNode(ts.SyntaxKind.NeverKeyword),
+  );
+}
+
+// A `...args: any[]` parameter, for the implementation of overloads
+function createRestParameter() {
+  return factory.createParameterDeclaration(
+    undefined,
+    factory.createToken(ts.SyntaxKind.DotDotDotToken),
+    'args',
+    undefined,
+    factory.createArrayTypeNode(
+      factory.createKeywordTypeNode(ts.SyntaxKind.AnyKeyword),
+    ),
+  );
+}
+
+// Group runs of declarations without a body that share a key, so overloads
+// end up together
+function groupSignatures(nodes, getKey) {
+  const groups = [];
+  for (const node of nodes) {
+    const key = getKey(node);
+    const last = groups[groups.length - 1];
+    if (key !== null && last && last.key === key) {
+      last.nodes.push(node);
+    } else {
+      groups.push({ key, nodes: [node] });
+    }
+  }
+  return groups;
+}
+
+// Give a group of function signatures a throwing body. A single signature
+// gets the body itself; overloads keep their signatures and get a separate
+// implementation taking any arguments.
+function stubSignatures(signatures, withBody, createImplementation) {
+  if (signatures.length === 1) {
+    return [withBody(signatures[0])];
+  }
+  return [
+    ...signatures.map((signature) => withBody(signature, null)),
+    createImplementation(signatures[0]),
+  ];
+}
+
+// Turn a function declaration into a stub, or into an overload signature
+// when body is null
+function stubFunction(node, body = createThrowingBody()) {
+  return factory.updateFunctionDeclaration(
+    node,
+    stubModifiers(node),
+    node.asteriskToken,
+    node.name,
+    node.typeParameters,
+    node.parameters,
+    node.type,
+    body || undefined,
+  );
+}
+
+// Stub the members of a class: methods, accessors and constructors throw,
+// properties are declared without being set. description holds what
+// describeClasses found out about the original class.
+function stubClassMembers(node, { overrides, baseArgumentCount }) {
+  const baseClass = (node.heritageClauses || []).some(
+    (clause) => clause.token === ts.SyntaxKind.ExtendsKeyword,
+  );
+  const isOverride = (member) =>
+    Boolean(member.name && overrides.has(member.name.getText()));
+
+  function stubMethod(member, body = createThrowingBody()) {
+    return factory.updateMethodDeclaration(
+      member,
+      stubModifiers(member, isOverride(member)),
+      member.asteriskToken,
+      member.name,
+      member.questionToken,
+      member.typeParameters,
+      member.parameters,
+      member.type,
+      body || undefined,
+    );
+  }
+
+  function stubConstructor(member, parameters) {
+    // Derived classes must call super with as many arguments as the base
+    // requires, typed as any so they fit whatever its parameters are
+    const superCall = baseClass
+      ? [
+          factory.createExpressionStatement(
+            factory.createCallExpression(factory.createSuper(), undefined, [
+              factory.createSpreadElement(
+                factory.createParenthesizedExpression(
+                  factory.createAsExpression(
+                    factory.createIdentifier('args'),
+                    ts.setEmitFlags(
+                      factory.createTupleTypeNode(
+                        Array.from({ length: baseArgumentCount }, () =>
+                          factory.createKeywordTypeNode(
+                            ts.SyntaxKind.AnyKeyword,
+                          ),
+                        ),
+                      ),
+                      ts.EmitFlags.SingleLine,
+                    ),
+                  ),
+                ),
+              ),
+            ]),
+          ),
+        ]
+      : [];
+    return factory.updateConstructorDeclaration(
+      member,
+      stubModifiers(member),
+      parameters,
+      createThrowingBody(superCall),
+    );
+  }
+
+  const groups = groupSignatures(node.members, (member) => {
+    if (ts.isConstructorDeclaration(member) && !member.body) {
+      return 'constructor';
+    }
+    if (
+      ts.isMethodDeclaration(member) &&
+      !member.body &&
+      !hasModifier(member, ts.SyntaxKind.AbstractKeyword)
+    ) {
+      const isStatic = hasModifier(member, ts.SyntaxKind.StaticKeyword);
+      return `${isStatic ? 'static ' : ''}${member.name.getText()}`;
+    }
+    return null;
+  });
+
+  return groups.flatMap(({ key, nodes }) => {
+    if (key === 'constructor') {
+      // A derived class always needs the implementation, for its super call
+      if (nodes.length === 1 && !baseClass) {
+        return [stubConstructor(nodes[0], nodes[0].parameters)];
+      }
+      return [
+        ...nodes.map((member) =>
+          factory.updateConstructorDeclaration(
+            member,
+            stubModifiers(member),
+            member.parameters,
+            undefined,
+          ),
+        ),
+        stubConstructor(nodes[0], [createRestParameter()]),
+      ];
+    }
+    if (key !== null) {
+      return stubSignatures(nodes, stubMethod, (member) =>
+        factory.updateMethodDeclaration(
+          member,
+          stubModifiers(member, isOverride(member)),
+          member.asteriskToken,
+          member.name,
+          member.questionToken,
+          undefined,
+          [createRestParameter()],
+          factory.createKeywordTypeNode(ts.SyntaxKind.AnyKeyword),
+          createThrowingBody(),
+        ),
+      );
+    }
+
+    const [member] = nodes;
+    if (ts.isGetAccessorDeclaration(member) && !member.body) {
+      return [
+        factory.updateGetAccessorDeclaration(
+          member,
+          stubModifiers(member, isOverride(member)),
+          member.name,
+          member.parameters,
+          member.type,
+          createThrowingBody(),
+        ),
+      ];
+    }
+    if (ts.isSetAccessorDeclaration(member) && !member.body) {
+      return [
+        factory.updateSetAccessorDeclaration(
+          member,
+          stubModifiers(member, isOverride(member)),
+          member.name,
+          member.parameters,
+          createThrowingBody(),
+        ),
+      ];
+    }
+    if (ts.isPropertyDeclaration(member)) {
+      // Private members are emitted without a type. Typed properties start
+      // out undefined, as there is no constructor to set them.
+      const needsValue =
+        member.type &&
+        !member.initializer &&
+        !member.questionToken &&
+        !hasModifier(member, ts.SyntaxKind.AbstractKeyword);
+      return [
+        factory.updatePropertyDeclaration(
+          member,
+          stubModifiers(member, isOverride(member)),
+          member.name,
+          member.questionToken,
+          member.type ||
+            (member.initializer
+              ? undefined
+              : factory.createKeywordTypeNode(ts.SyntaxKind.UnknownKeyword)),
+          needsValue ? createUndefined() : member.initializer,
+        ),
+      ];
+    }
+    return [member];
+  });
+}
+
+// Turn a declare variable statement into variables that are undefined, or
+// keep the literal values declaration emit wrote out. Variables that
+// classes extend, like the `Foo_base` of a mixin, are empty classes instead,
+// so the stub still loads.
+function stubVariables(node, baseNames) {
+  const declarations = node.declarationList.declarations.map((declaration) => {
+    if (declaration.initializer) {
+      return declaration;
+    }
+    const isUniqueSymbol =
+      declaration.type &&
+      ts.isTypeOperatorNode(declaration.type) &&
+      declaration.type.operator === ts.SyntaxKind.UniqueKeyword;
+    return factory.updateVariableDeclaration(
+      declaration,
+      declaration.name,
+      undefined,
+      declaration.type,
+      isUniqueSymbol
+        ? factory.createCallExpression(
+            factory.createIdentifier('Symbol'),
+            undefined,
+            [],
+          )
+        : baseNames.has(declaration.name.getText())
+          ? factory.createAsExpression(
+              factory.createParenthesizedExpression(
+                factory.createClassExpression(
+                  undefined,
+                  undefined,
+                  undefined,
+                  undefined,
+                  [],
+                ),
+              ),
+              factory.createKeywordTypeNode(ts.SyntaxKind.NeverKeyword),
+            )
+          : createUndefined(),
+    );
+  });
+  return factory.updateVariableStatement(
+    node,
+    stubModifiers(node),
+    factory.updateVariableDeclarationList(node.declarationList, declarations),
+  );
+}
+
+// Turn the declarations of a file into a stub module. classes describes
+// each class of the original source, as describeClasses does.
+function renderStub(filePath, declarations, classes) {
+  const sourceFile = ts.createSourceFile(
+    filePath,
+    declarations,
+    ts.ScriptTarget.Latest,
+    true,
+    /\.[cm]?tsx$/.test(filePath) ? ts.ScriptKind.TSX : ts.ScriptKind.TS,
+  );
+
+  const baseNames = new Set(
+    sourceFile.statements.flatMap((statement) =>
+      ts.isClassDeclaration(statement)
+        ? (statement.heritageClauses || []).flatMap((clause) =>
+            clause.token === ts.SyntaxKind.ExtendsKeyword &&
+            ts.isIdentifier(clause.types[0].expression)
+              ? [clause.types[0].expression.text]
+              : [],
+          )
+        : [],
+    ),
+  );
+
+  const groups = groupSignatures(sourceFile.statements, (statement) =>
+    ts.isFunctionDeclaration(statement) && !statement.body
+      ? declarationName(statement)
+      : null,
+  );
+  const statements = groups.flatMap(({ key, nodes }) => {
+    if (key !== null) {
+      return stubSignatures(nodes, stubFunction, (signature) =>
+        factory.updateFunctionDeclaration(
+          signature,
+          stubModifiers(signature),
+          signature.asteriskToken,
+          signature.name,
+          undefined,
+          [createRestParameter()],
+          factory.createKeywordTypeNode(ts.SyntaxKind.AnyKeyword),
+          createThrowingBody(),
+        ),
+      );
+    }
+
+    const [statement] = nodes;
+    if (ts.isClassDeclaration(statement)) {
+      return [
+        factory.updateClassDeclaration(
+          statement,
+          stubModifiers(statement),
+          statement.name,
+          statement.typeParameters,
+          statement.heritageClauses,
+          stubClassMembers(
+            statement,
+            classes.get(declarationName(statement)) || {
+              overrides: new Set(),
+              baseArgumentCount: 0,
+            },
+          ),
+        ),
+      ];
+    }
+    if (
+      ts.isVariableStatement(statement) &&
+      hasModifier(statement, ts.SyntaxKind.DeclareKeyword)
+    ) {
+      return [stubVariables(statement, baseNames)];
+    }
+    if (ts.isEnumDeclaration(statement)) {
+      return [
+        factory.updateEnumDeclaration(
+          statement,
+          stubModifiers(statement),
+          statement.name,
+          statement.members,
+        ),
+      ];
+    }
+    // Namespaces and global augmentations stay ambient
+    return [statement];
+  });
+
+  const printer = ts.createPrinter({
+    newLine: ts.NewLineKind.LineFeed,
+    removeComments: true,
+  });
+  const body = printer.printFile(
+    factory.updateSourceFile(sourceFile, statements),
+  );
+  return `// Anonymized stub - implementation removed\n${body}`;
+}
+
+// Create a stub for each of the given source files, compiled with the
+// options of tsconfigPath. Returns the stub content by file path.
+// Declaration files are kept as they are, without their comments.
+function createSourceStubs(filePaths, tsconfigPath) {
+  const absolutePaths = filePaths.map((filePath) => path.resolve(filePath));
+  const program = ts.createProgram(absolutePaths, {
+    ...readCompilerOptions(tsconfigPath),
+    declaration: true,
+    emitDeclarationOnly: true,
+    noEmit: false,
+    noEmitOnError: false,
+    removeComments: true,
+    declarationMap: false,
+    sourceMap: false,
+    composite: false,
+    incremental: false,
+  });
+
+  const printer = ts.createPrinter({
+    newLine: ts.NewLineKind.LineFeed,
+    removeComments: true,
+  });
+  const stubs = new Map();
+  absolutePaths.forEach((absolutePath, index) => {
+    const sourceFile = program.getSourceFile(absolutePath);
+    if (!sourceFile) {
+      return;
+    }
+    if (sourceFile.isDeclarationFile) {
+      stubs.set(filePaths[index], printer.printFile(sourceFile));
+      return;
+    }
+
+    let declarations = '';
+    program.emit(
+      sourceFile,
+      (_, text) => {
+        declarations = text;
+      },
+      undefined,
+      true,
+    );
+    stubs.set(
+      filePaths[index],
+      renderStub(
+        absolutePath,
+        declarations,
+        describeClasses(sourceFile, program.getTypeChecker()),
+      ),
+    );
+  });
+  return stubs;
+}
+
+module.exports = {
+  createSourceStubs,
+};
@@ -0,0 +1,341 @@
+/**
+ * Test file skeletons for the anonymizer scripts.
+ *
+ * parseTestFile reads a Vitest test file with the TypeScript compiler API
+ * and returns the tree of suites, tests and hooks it declares.
+ * renderTestSkeleton turns that tree back into a test file with the same
+ * nesting, number of tests, `each` table sizes and hooks, where every test
+ * body is stubbed with assert(true). Names are taken from the `name` that
+ * the caller assigns to each suite and test node.
+ *
+ * Optionally the skeleton keeps the modifiers of each suite and test
+ * (`.skip`, `.only`, `.fails`, ...), and reproduces the `outcome` the caller
+ * assigns to a test node: skipped tests are skipped, and failed tests or
+ * `each` rows assert(false). The outcome's run times can also be kept, by
+ * waiting or busy-looping for as long as each test originally ran.
+ */
+
+const ts = require('typescript');
+const { parseSourceFile } = require('./anonymize-imports');
+
+const SUITE_FUNCTIONS = new Set(['describe', 'suite']);
+const TEST_FUNCTIONS = new Set(['it', 'test']);
+const HOOK_FUNCTIONS = new Set([
+  'beforeAll',
+  'beforeEach',
+  'afterAll',
+  'afterEach',
+]);
+const EACH_MODIFIERS = new Set(['each', 'for']);
+// Modifiers that can be carried over to the skeleton
+const KEPT_MODIFIERS = new Set([
+  'skip',
+  'todo',
+  'only',
+  'concurrent',
+  'sequential',
+  'shuffle',
+  'fails',
+]);
+
+// Split a callee like `it.skip.each(table)` into its base function,
+// modifiers and `each` table
+function parseCallee(expression) {
+  const modifiers = [];
+  let table = null;
+  let current = expression;
+
+  while (true) {
+    if (ts.isPropertyAccessExpression(current)) {
+      modifiers.unshift(current.name.text);
+      current = current.expression;
+    } else if (
+      ts.isCallExpression(current) &&
+      ts.isPropertyAccessExpression(current.expression) &&
+      EACH_MODIFIERS.has(current.expression.name.text)
+    ) {
+      table = current.arguments[0] || null;
+      current = current.expression;
+    } else if (
+      ts.isTaggedTemplateExpression(current) &&
+      ts.isPropertyAccessExpression(current.tag) &&
+      EACH_MODIFIERS.has(current.tag.name.text)
+    ) {
+      table = current.template;
+      current = current.tag;
+    } else {
+      break;
+    }
+  }
+
+  if (!ts.isIdentifier(current)) {
+    return null;
+  }
+  return { base: current.text, modifiers, table };
+}
+
+// Find the initializer of a `const name = ...` declared in the file
+function findConstInitializer(sourceFile, name) {
+  let initializer = null;
+  function visit(node) {
+    if (
+      !initializer &&
+      ts.isVariableDeclaration(node) &&
+      ts.isIdentifier(node.name) &&
+      node.name.text === name &&
+      node.initializer
+    ) {
+      initializer = node.initializer;
+    }
+    ts.forEachChild(node, visit);
+  }
+  visit(sourceFile);
+  return initializer;
+}
+
+// Count the rows of an `each` table, or return null if it can't be known
+function countTableRows(sourceFile, table) {
+  let node = table;
+  while (node && (ts.isAsExpression(node) || ts.isSatisfiesExpression(node))) {
+    node = node.expression;
+  }
+  if (node && ts.isIdentifier(node)) {
+    node = findConstInitializer(sourceFile, node.text);
+  }
+
+  if (!node) {
+    return null;
+  }
+  if (ts.isArrayLiteralExpression(node)) {
+    return node.elements.length;
+  }
+  if (
+    ts.isNoSubstitutionTemplateLiteral(node) ||
+    ts.isTemplateExpression(node)
+  ) {
+    // Tagged template tables have a header line followed by one row per line
+    const lines = node
+      .getText(sourceFile)
+      .slice(1, -1)
+      .split('\n')
+      .filter((line) => line.trim() !== '');
+    return Math.max(lines.length - 1, 0);
+  }
+  return null;
+}
+
+// Read a Vitest test file into a tree of suite, test and hook nodes
+function parseTestFile(filePath, content) {
+  const sourceFile = parseSourceFile(filePath, content);
+  const warnings = [];
+
+  // Collect test calls below a node; calls nested in loops or helpers are
+  // found once, since how often they run can't be known statically
+  function collect(node, nodes) {
+    if (ts.isCallExpression(node)) {
+      const callee = parseCallee(node.expression);
+      const kind =
+        callee &&
+        (SUITE_FUNCTIONS.has(callee.base)
+          ? 'suite'
+          : TEST_FUNCTIONS.has(callee.base)
+            ? 'test'
+            : HOOK_FUNCTIONS.has(callee.base)
+              ? 'hook'
+              : null);
+
+      if (kind === 'hook' && callee.modifiers.length === 0) {
+        nodes.push({ kind, hook: callee.base });
+        return;
+      }
+
+      if (kind === 'suite' || kind === 'test') {
+        const [title, ...rest] = node.arguments;
+        const callback = rest.find(
+          (arg) => ts.isArrowFunction(arg) || ts.isFunctionExpression(arg),
+        );
+        const testNode = {
+          kind,
+          title: title
+            ? ts.isStringLiteralLike(title)
+              ? title.text
+              : title.getText(sourceFile)
+            : '',
+          modifiers: callee.modifiers,
+          each: null,
+          children: [],
+        };
+
+        if (callee.table) {
+          testNode.each = countTableRows(sourceFile, callee.table);
+          if (testNode.each === null) {
+            const { line } = sourceFile.getLineAndCharacterOfPosition(
+              node.getStart(sourceFile),
+            );
+            warnings.push(
+              `${filePath}:${line + 1}: could not size the each table of "${testNode.title}", using 1 row`,
+            );
+            testNode.each = 1;
+          }
+        }
+
+        if (kind === 'suite' && callback) {
+          ts.forEachChild(callback.body, (child) =>
+            collect(child, testNode.children),
+          );
+        }
+        nodes.push(testNode);
+        return;
+      }
+    }
+
+    ts.forEachChild(node, (child) => collect(child, nodes));
+  }
+
+  const nodes = [];
+  ts.forEachChild(sourceFile, (child) => collect(child, nodes));
+  return { nodes, warnings };
+}
+
+// Visit every suite and test node depth-first, in source order
+function walkTestNodes(nodes, visit) {
+  for (const node of nodes) {
+    if (node.kind === 'hook') {
+      continue;
+    }
+    visit(node);
+    walkTestNodes(node.children, visit);
+  }
+}
+
+// Rows of a test whose body should throw, so the test is reported with the
+// outcome it had originally. A `.fails` test passes when its body throws.
+// A test without an `each` table can still have several runs in a report,
+// like retries or a suite reported twice; it fails if any of them did.
+function findThrowingRows(node, modifiers, outcomes) {
+  const rows = Array.from({ length: node.each ?? 1 }, (_, index) => index);
+  const failedRuns = node.outcome && outcomes ? node.outcome.failed : [];
+  const failed =
+    node.each !== null ? failedRuns : failedRuns.length > 0 ? [0] : [];
+  return modifiers.includes('fails')
+    ? rows.filter((row) => !failed.includes(row))
+    : rows.filter((row) => failed.includes(row));
+}
+
+// Statement that takes `ms` milliseconds, either waiting ('delay') or
+// keeping the CPU busy ('cpu')
+function renderTimingStatement(timing, ms) {
+  return timing === 'delay'
+    ? `await new Promise((resolve) => setTimeout(resolve, ${ms}));`
+    : `for (const end = Date.now() + ${ms}; Date.now() < end; );`;
+}
+
+// Render the nodes as a test file with stubbed bodies. With keepModifiers
+// the suite and test modifiers are carried over, with outcomes each test
+// node's outcome is reproduced, and with timing ('delay' or 'cpu') each test
+// takes as long as its outcome's run times.
+function renderTestSkeleton(
+  nodes,
+  { keepModifiers = false, outcomes = false, timing = null } = {},
+) {
+  function renderNodes(children, depth) {
+    const indent = '  '.repeat(depth);
+    const lines = [];
+
+    for (const node of children) {
+      if (node.kind === 'hook') {
+        lines.push(`${indent}${node.hook}(() => {});`);
+        continue;
+      }
+
+      const modifiers = keepModifiers
+        ? node.modifiers.filter((modifier) => KEPT_MODIFIERS.has(modifier))
+        : [];
+      if (
+        outcomes &&
+        node.outcome &&
+        node.outcome.skipped &&
+        !modifiers.includes('skip') &&
+        !modifiers.includes('todo')
+      ) {
+        modifiers.push('skip');
+      }
+
+      const fn = [node.kind === 'suite' ? 'describe' : 'it', ...modifiers].join(
+        '.',
+      );
+      if (modifiers.includes('todo')) {
+        lines.push(`${indent}${fn}('${node.name}');`);
+        continue;
+      }
+
+      const callee =
+        node.each === null
+          ? fn
+          : `${fn}.each([${Array.from({ length: node.each }, (_, index) => index).join(', ')}])`;
+      const title = node.each === null ? node.name : `${node.name} %#`;
+
+      if (node.kind === 'suite') {
+        lines.push(`${indent}${callee}('${title}', () => {`);
+        lines.push(...renderNodes(node.children, depth + 1));
+        lines.push(`${indent}});`);
+        continue;
+      }
+
+      const rowCount = node.each ?? 1;
+      const body = [];
+      let usesRow = false;
+
+      const times =
+        timing && node.outcome
+          ? node.outcome.times.map((time) => Math.round(time * 1000))
+          : [];
+      if (times.some((ms) => ms > 0)) {
+        if (node.each === null || times.every((ms) => ms === times[0])) {
+          // The runs of a test without an `each` table are all one test,
+          // which takes as long as the slowest
+          body.push(renderTimingStatement(timing, Math.max(...times)));
+        } else {
+          // Rows the report has no time for take as long as the last one
+          const rowTimes = Array.from(
+            { length: rowCount },
+            (_, row) => times[Math.min(row, times.length - 1)],
+          );
+          body.push(
+            renderTimingStatement(timing, `[${rowTimes.join(', ')}][row]`),
+          );
+          usesRow = true;
+        }
+      }
+
+      const throwingRows = findThrowingRows(node, modifiers, outcomes);
+      if (throwingRows.length === 0 || throwingRows.length === rowCount) {
+        body.push(`assert(${throwingRows.length === 0});`);
+      } else {
+        body.push(`assert(![${throwingRows.join(', ')}].includes(row));`);
+        usesRow = true;
+      }
+
+      const isAsync = body[0].startsWith('await ');
+      const parameters = usesRow ? '(row)' : '()';
+      lines.push(
+        `${indent}${callee}('${title}', ${isAsync ? 'async ' : ''}${parameters} => {`,
+      );
+      body.forEach((statement) => lines.push(`${indent}  ${statement}`));
+      lines.push(`${indent}});`);
+    }
+
+    return lines;
+  }
+
+  return `import { assert } from 'vitest';
+
+${renderNodes(nodes, 0).join('\n')}
+`;
+}
+
+module.exports = {
+  parseTestFile,
+  walkTestNodes,
+  renderTestSkeleton,
+};
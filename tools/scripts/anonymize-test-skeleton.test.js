@@ -0,0 +1,304 @@
+const {
+  parseTestFile,
+  walkTestNodes,
+  renderTestSkeleton,
+} = require('./anonymize-test-skeleton');
+const { parseJUnitReport, matchTestCases } = require('./anonymize-junit');
+
+const TEST_FILE = `
+import { describe, it, expect } from 'vitest';
+
+const cases = [
+  [1, 2],
+  [2, 4],
+];
+
+describe('calculatePayroll', () => {
+  beforeAll(() => {});
+  beforeEach(() => {});
+
+  it('keeps the gross pay', () => {
+    expect(1).toBe(1);
+  });
+
+  it.each(cases)('doubles %i to %i', (input, output) => {
+    expect(input * 2).toBe(output);
+  });
+
+  describe.skip('deductions', () => {
+    afterEach(() => {});
+
+    test.each\`
+      gross | net
+      ${'${100}'}  | ${'${80}'}
+      ${'${200}'}  | ${'${160}'}
+      ${'${300}'}  | ${'${240}'}
+    \`('pays $gross as $net', () => {});
+
+    it.todo('handles pensions');
+  });
+});
+
+it.each(loadCases())('reads cases from a helper', () => {});
+`;
+
+// Give every suite and test a name from its position, like the anonymizer
+function nameNodes(nodes) {
+  let index = 0;
+  walkTestNodes(nodes, (node) => {
+    node.name = `test_${index++}`;
+  });
+  return nodes;
+}
+
+// The suites, tests and hooks of a tree, without titles
+function describeStructure(nodes) {
+  return nodes.map((node) =>
+    node.kind === 'hook'
+      ? node.hook
+      : {
+          kind: node.kind,
+          each: node.each,
+          children: describeStructure(node.children),
+        },
+  );
+}
+
+// Run a rendered skeleton with a minimal describe and it, returning how each
+// test, or each row of an each test, ended
+async function runSkeleton(source) {
+  const tests = [];
+  const suites = [];
+
+  const define = (kind, modifiers, rows) => (title, callback) => {
+    for (const row of rows) {
+      const name = title.replace('%#', row);
+      if (kind === 'suite') {
+        suites.push({ name, modifiers });
+        callback();
+        suites.pop();
+      } else {
+        tests.push({
+          name: [...suites.map((suite) => suite.name), name].join(' > '),
+          modifiers: [
+            ...suites.flatMap((suite) => suite.modifiers),
+            ...modifiers,
+          ],
+          run: () => callback?.(row),
+        });
+      }
+    }
+  };
+  const api = (kind, modifiers = []) =>
+    new Proxy(define(kind, modifiers, [undefined]), {
+      get: (target, property) =>
+        property === 'each'
+          ? (rows) => define(kind, modifiers, rows)
+          : api(kind, [...modifiers, property]),
+    });
+
+  const assert = (value) => {
+    if (!value) {
+      throw new Error('assertion failed');
+    }
+  };
+  const noop = () => {};
+  const AsyncFunction = async function () {}.constructor;
+  await new AsyncFunction(
+    'describe',
+    'it',
+    'assert',
+    'beforeAll',
+    'beforeEach',
+    'afterAll',
+    'afterEach',
+    source.replace(/^import .*$/m, ''),
+  )(api('suite'), api('test'), assert, noop, noop, noop, noop);
+
+  const results = {};
+  for (const { name, modifiers, run } of tests) {
+    if (modifiers.includes('skip') || modifiers.includes('todo')) {
+      results[name] = 'skipped';
+      continue;
+    }
+    let passed = true;
+    try {
+      await run();
+    } catch (error) {
+      // Anything but a failed assertion is a broken skeleton
+      if (error.message !== 'assertion failed') {
+        throw error;
+      }
+      passed = false;
+    }
+    results[name] =
+      passed !== modifiers.includes('fails') ? 'passed' : 'failed';
+  }
+  return results;
+}
+
+describe('parseTestFile', () => {
+  it('reads suites, tests, each tables and hooks in source order', () => {
+    const { nodes } = parseTestFile('payroll.test.ts', TEST_FILE);
+
+    expect(describeStructure(nodes)).toEqual([
+      {
+        kind: 'suite',
+        each: null,
+        children: [
+          'beforeAll',
+          'beforeEach',
+          { kind: 'test', each: null, children: [] },
+          { kind: 'test', each: 2, children: [] },
+          {
+            kind: 'suite',
+            each: null,
+            children: [
+              'afterEach',
+              { kind: 'test', each: 3, children: [] },
+              { kind: 'test', each: null, children: [] },
+            ],
+          },
+        ],
+      },
+      { kind: 'test', each: 1, children: [] },
+    ]);
+    expect(nodes[0].title).toBe('calculatePayroll');
+    expect(nodes[0].children[4].modifiers).toEqual(['skip']);
+    expect(nodes[0].children[4].children[2].modifiers).toEqual(['todo']);
+  });
+
+  it('warns about each tables it cannot size', () => {
+    const { warnings } = parseTestFile('payroll.test.ts', TEST_FILE);
+
+    expect(warnings).toEqual([
+      'payroll.test.ts:35: could not size the each table of "reads cases from a helper", using 1 row',
+    ]);
+  });
+});
+
+describe('renderTestSkeleton', () => {
+  it('keeps the structure of the test file', () => {
+    const { nodes } = parseTestFile('payroll.test.ts', TEST_FILE);
+    const skeleton = renderTestSkeleton(nameNodes(nodes));
+
+    expect(
+      describeStructure(parseTestFile('skeleton.test.ts', skeleton).nodes),
+    ).toEqual(describeStructure(nodes));
+    expect(skeleton).not.toMatch(/payroll|gross|pension|cases/i);
+  });
+
+  it('renders tests that pass, one per each row', async () => {
+    const { nodes } = parseTestFile('payroll.test.ts', TEST_FILE);
+    const skeleton = renderTestSkeleton(nameNodes(nodes));
+
+    expect(await runSkeleton(skeleton)).toEqual({
+      'test_0 > test_1': 'passed',
+      'test_0 > test_2 0': 'passed',
+      'test_0 > test_2 1': 'passed',
+      'test_0 > test_3 > test_4 0': 'passed',
+      'test_0 > test_3 > test_4 1': 'passed',
+      'test_0 > test_3 > test_4 2': 'passed',
+      'test_0 > test_3 > test_5': 'passed',
+      'test_6 0': 'passed',
+    });
+  });
+
+  it('keeps modifiers only when asked to', async () => {
+    const { nodes } = parseTestFile('payroll.test.ts', TEST_FILE);
+    const skeleton = renderTestSkeleton(nameNodes(nodes), {
+      keepModifiers: true,
+    });
+
+    expect(skeleton).toContain("describe.skip('test_3', () => {");
+    expect(skeleton).toContain("it.todo('test_5');");
+    expect(await runSkeleton(skeleton)).toMatchObject({
+      'test_0 > test_1': 'passed',
+      'test_0 > test_3 > test_4 0': 'skipped',
+      'test_0 > test_3 > test_5': 'skipped',
+    });
+  });
+});
+
+describe('renderTestSkeleton with a JUnit report', () => {
+  const PAYROLL_TESTS = `
+describe('calculatePayroll', () => {
+  it('keeps the gross pay', () => {});
+
+  it.each([[100], [200], [300]])('pays %i', () => {});
+
+  it('rounds pennies', () => {});
+});
+`;
+
+  // Parse the tests and match them to the given <testcase> elements
+  function parseWithReport(testCases) {
+    const { nodes } = parseTestFile('payroll.test.ts', PAYROLL_TESTS);
+    return matchTestCases(
+      nameNodes(nodes),
+      parseJUnitReport(`<testsuites>${testCases.join('')}</testsuites>`),
+    );
+  }
+
+  // A <testcase> element of a Vitest JUnit report
+  const testCase = (name, time, result = '') =>
+    `<testcase classname="payroll.test.ts" name="calculatePayroll &gt; ${name}" time="${time}">${result}</testcase>`;
+
+  it('reproduces failed rows and skipped tests', async () => {
+    const nodes = parseWithReport([
+      testCase('keeps the gross pay', 0.001, '<failure message="x"/>'),
+      testCase('pays 100', 0.001),
+      testCase('pays 200', 0.001, '<failure message="x"/>'),
+      testCase('pays 300', 0.001),
+      testCase('rounds pennies', 0, '<skipped/>'),
+    ]);
+
+    expect(
+      await runSkeleton(renderTestSkeleton(nodes, { outcomes: true })),
+    ).toEqual({
+      'test_0 > test_1': 'failed',
+      'test_0 > test_2 0': 'passed',
+      'test_0 > test_2 1': 'failed',
+      'test_0 > test_2 2': 'passed',
+      'test_0 > test_3': 'skipped',
+    });
+  });
+
+  it('keeps the run time of each row', async () => {
+    const nodes = parseWithReport([
+      testCase('keeps the gross pay', 0.004),
+      testCase('pays 100', 0.001),
+      testCase('pays 200', 0.002),
+      testCase('pays 300', 0.003),
+    ]);
+    const skeleton = renderTestSkeleton(nodes, { timing: 'delay' });
+
+    expect(skeleton).toContain(
+      "it('test_1', async () => {\n    await new Promise((resolve) => setTimeout(resolve, 4));",
+    );
+    expect(skeleton).toContain(
+      "it.each([0, 1, 2])('test_2 %#', async (row) => {\n    await new Promise((resolve) => setTimeout(resolve, [1, 2, 3][row]));",
+    );
+    expect(Object.values(await runSkeleton(skeleton))).toEqual(
+      Array(5).fill('passed'),
+    );
+  });
+
+  it.each(['delay', 'cpu'])(
+    'renders a test reported more than once as one test (%s)',
+    async (timing) => {
+      // A retried test, or a suite reported twice
+      const nodes = parseWithReport([
+        testCase('keeps the gross pay', 0.002, '<failure message="x"/>'),
+        testCase('keeps the gross pay', 0.005),
+      ]);
+      const skeleton = renderTestSkeleton(nodes, { outcomes: true, timing });
+
+      expect(skeleton).not.toContain('[row]');
+      expect(skeleton).toMatch(/it\('test_1', (async )?\(\) => \{\n.*\b5\b/);
+      expect(await runSkeleton(skeleton)).toMatchObject({
+        'test_0 > test_1': 'failed',
+      });
+    },
+  );
+});
@@ -0,0 +1,220 @@
+/**
+ * Vitest test discovery for the anonymizer scripts.
+ *
+ * readVitestTestGlobs finds the `test.include` and `test.exclude` globs a
+ * package's Vitest config uses, without running the config: it is parsed
+ * with the TypeScript compiler API and only literal arrays of strings are
+ * read. Options a config passes to a factory imported from a relative
+ * module, like createVitestConfig({ ... }) from vitest.base.ts, are read
+ * as overrides of the globs in that module. Globs no config sets fall back
+ * to Vitest's defaults.
+ *
+ * isVitestTestFile then tells whether Vitest would run a file, so the
+ * anonymizer finds exactly the test files Vitest does.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+const { matchesAnyGlob } = require('./anonymize-workspace');
+const {
+  parseSourceFile,
+  isPathSpecifier,
+  resolveModuleFile,
+} = require('./anonymize-imports');
+
+// Config files Vitest looks for in the package root, in order
+const CONFIG_FILE_NAMES = ['vitest', 'vite'].flatMap((name) =>
+  ['ts', 'mts', 'cts', 'js', 'mjs', 'cjs'].map(
+    (extension) => `${name}.config.${extension}`,
+  ),
+);
+
+// Vitest's own defaults for test.include and test.exclude
+const VITEST_DEFAULT_INCLUDE = ['**/*.{test,spec}.?(c|m)[jt]s?(x)'];
+const VITEST_DEFAULT_EXCLUDE = [
+  '**/node_modules/**',
+  '**/dist/**',
+  '**/cypress/**',
+  '**/.{idea,git,cache,output,temp}/**',
+  '**/{karma,rollup,webpack,vite,vitest,jest,ava,babel,nyc,cypress,tsup,build,eslint,prettier}.config.*',
+];
+
+const GLOB_KEYS = ['include', 'exclude'];
+
+// Find the Vitest config file of a package, or null if it has none
+function findVitestConfig(packageRoot) {
+  for (const fileName of CONFIG_FILE_NAMES) {
+    const configPath = path.join(packageRoot, fileName);
+    if (fs.existsSync(configPath)) {
+      return configPath;
+    }
+  }
+  return null;
+}
+
+// Find a property of an object literal by name
+function findProperty(sourceFile, object, name) {
+  return (
+    object.properties.find(
+      (property) =>
+        ts.isPropertyAssignment(property) &&
+        property.name.getText(sourceFile).replace(/^['"]|['"]$/g, '') === name,
+    ) || null
+  );
+}
+
+// Read the include and exclude globs set in an object literal. Globs that
+// are set but not as a literal array of strings are reported in warnings.
+function readGlobOptions(sourceFile, object, displayPath, warnings) {
+  const options = {};
+  for (const key of GLOB_KEYS) {
+    const property = findProperty(sourceFile, object, key);
+    if (!property) {
+      continue;
+    }
+
+    const { initializer } = property;
+    if (
+      ts.isArrayLiteralExpression(initializer) &&
+      initializer.elements.every(ts.isStringLiteralLike)
+    ) {
+      options[key] = initializer.elements.map((element) => element.text);
+    } else {
+      const { line } = sourceFile.getLineAndCharacterOfPosition(
+        property.getStart(sourceFile),
+      );
+      warnings.push(
+        `${displayPath}:${line + 1}: test.${key} is not a literal array of globs, ignoring it`,
+      );
+    }
+  }
+  return options;
+}
+
+// Read the include and exclude globs a Vitest config file sets, directly in
+// a `test` object or through factories it imports from relative modules.
+// Warnings name files relative to rootDir.
+function readConfigGlobs(filePath, rootDir, warnings, seen = new Set()) {
+  if (seen.has(filePath)) {
+    return {};
+  }
+  seen.add(filePath);
+  const displayPath = path.relative(rootDir, filePath).replace(/\\/g, '/');
+
+  const sourceFile = parseSourceFile(
+    filePath,
+    fs.readFileSync(filePath, 'utf8'),
+  );
+
+  // Local names imported from relative modules, and the files they are in
+  const importedFiles = new Map();
+  for (const statement of sourceFile.statements) {
+    if (
+      !ts.isImportDeclaration(statement) ||
+      !ts.isStringLiteral(statement.moduleSpecifier) ||
+      !isPathSpecifier(statement.moduleSpecifier.text) ||
+      !statement.importClause
+    ) {
+      continue;
+    }
+    const modulePath = resolveModuleFile(
+      path.dirname(filePath),
+      statement.moduleSpecifier.text,
+    );
+    const { name, namedBindings } = statement.importClause;
+    const localNames = [
+      ...(name ? [name.text] : []),
+      ...(namedBindings && ts.isNamedImports(namedBindings)
+        ? namedBindings.elements.map((element) => element.name.text)
+        : []),
+    ];
+    if (modulePath) {
+      localNames.forEach((localName) =>
+        importedFiles.set(localName, modulePath),
+      );
+    }
+  }
+
+  let own = {};
+  let overrides = {};
+  let base = {};
+
+  function visit(node) {
+    if (
+      ts.isPropertyAssignment(node) &&
+      node.name.getText(sourceFile) === 'test' &&
+      ts.isObjectLiteralExpression(node.initializer)
+    ) {
+      own = {
+        ...own,
+        ...readGlobOptions(sourceFile, node.initializer, displayPath, warnings),
+      };
+    } else if (
+      ts.isCallExpression(node) &&
+      ts.isIdentifier(node.expression) &&
+      importedFiles.has(node.expression.text)
+    ) {
+      const [firstArgument] = node.arguments;
+      if (firstArgument && ts.isObjectLiteralExpression(firstArgument)) {
+        overrides = {
+          ...overrides,
+          ...readGlobOptions(sourceFile, firstArgument, displayPath, warnings),
+        };
+      }
+      base = {
+        ...readConfigGlobs(
+          importedFiles.get(node.expression.text),
+          rootDir,
+          warnings,
+          seen,
+        ),
+        ...base,
+      };
+    }
+    ts.forEachChild(node, visit);
+  }
+
+  visit(sourceFile);
+  return { ...base, ...overrides, ...own };
+}
+
+// Read the globs Vitest uses to find the test files of a package, relative
+// to the package root. Warnings name files relative to rootDir.
+function readVitestTestGlobs(packageRoot, rootDir = packageRoot) {
+  const warnings = [];
+  const configPath = findVitestConfig(packageRoot);
+  const globs = configPath
+    ? readConfigGlobs(configPath, rootDir, warnings)
+    : {};
+
+  return {
+    include: globs.include || VITEST_DEFAULT_INCLUDE,
+    exclude: globs.exclude || VITEST_DEFAULT_EXCLUDE,
+    configPath,
+    warnings,
+  };
+}
+
+// Whether Vitest runs a package-relative file. Like Vitest, a file is left
+// out when an exclude glob matches it or any directory it is in.
+function isVitestTestFile(globs, relativePath) {
+  if (!matchesAnyGlob(relativePath, globs.include)) {
+    return false;
+  }
+
+  const segments = relativePath.split('/');
+  return !segments.some((_, index) => {
+    const prefix = segments.slice(0, index + 1).join('/');
+    return (
+      matchesAnyGlob(prefix, globs.exclude) ||
+      (index < segments.length - 1 &&
+        matchesAnyGlob(`${prefix}/`, globs.exclude))
+    );
+  });
+}
+
+module.exports = {
+  readVitestTestGlobs,
+  isVitestTestFile,
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readVitestTestGlobs, isVitestTestFile } = require('./anonymize-vitest');
+
+// A vitest.base.ts like the workspace's, with createVitestConfig
+const BASE_CONFIG = [
+  "import { defineConfig } from 'vitest/config';",
+  '',
+  'export const createVitestConfig = (overrides = {}) =>',
+  '  defineConfig({',
+  '    test: {',
+  "      include: ['src/**/*.test.ts'],",
+  "      exclude: ['**/node_modules/**'],",
+  '      ...overrides,',
+  '    },',
+  '  });',
+  '',
+].join('\n');
+
+describe('readVitestTestGlobs', () => {
+  let workspaceRoot;
+  const packageRoot = () => path.join(workspaceRoot, 'packages/cart');
+
+  // Write the workspace's vitest.base.ts and the package's Vitest config
+  function writeConfig(config) {
+    fs.mkdirSync(packageRoot(), { recursive: true });
+    fs.writeFileSync(path.join(workspaceRoot, 'vitest.base.ts'), BASE_CONFIG);
+    fs.writeFileSync(path.join(packageRoot(), 'vitest.config.ts'), config);
+  }
+
+  beforeEach(() => {
+    workspaceRoot = fs.mkdtempSync(
+      path.join(os.tmpdir(), 'anonymizer-vitest-'),
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(workspaceRoot, { recursive: true, force: true });
+  });
+
+  it("falls back to Vitest's defaults without a config", () => {
+    fs.mkdirSync(packageRoot(), { recursive: true });
+
+    const globs = readVitestTestGlobs(packageRoot());
+
+    expect(globs.configPath).toBeNull();
+    expect(globs.include).toEqual(['**/*.{test,spec}.?(c|m)[jt]s?(x)']);
+    expect(globs.exclude).toContain('**/node_modules/**');
+    expect(globs.warnings).toEqual([]);
+  });
+
+  it('reads the globs through the imported factory', () => {
+    writeConfig(
+      [
+        "import { createVitestConfig } from '../../vitest.base';",
+        '',
+        'export default createVitestConfig({});',
+        '',
+      ].join('\n'),
+    );
+
+    expect(readVitestTestGlobs(packageRoot())).toEqual({
+      include: ['src/**/*.test.ts'],
+      exclude: ['**/node_modules/**'],
+      configPath: path.join(packageRoot(), 'vitest.config.ts'),
+      warnings: [],
+    });
+  });
+
+  it('prefers its own globs over factory overrides over the base', () => {
+    writeConfig(
+      [
+        "import { mergeConfig } from 'vitest/config';",
+        "import { createVitestConfig } from '../../vitest.base';",
+        '',
+        'export default mergeConfig(',
+        "  createVitestConfig({ include: ['lib/**/*.test.ts'], exclude: ['lib/legacy/**'] }),",
+        "  { test: { include: ['lib/**/*.spec.ts'] } },",
+        ');',
+        '',
+      ].join('\n'),
+    );
+
+    const { include, exclude } = readVitestTestGlobs(packageRoot());
+
+    expect(include).toEqual(['lib/**/*.spec.ts']);
+    expect(exclude).toEqual(['lib/legacy/**']);
+  });
+
+  it('warns about globs that are not literal arrays', () => {
+    writeConfig(
+      [
+        "import { createVitestConfig } from '../../vitest.base';",
+        '',
+        "const specs = ['src/**/*.spec.ts'];",
+        '',
+        'export default createVitestConfig({',
+        '  include: [...specs],',
+        "  exclude: process.env.CI ? ['slow/**'] : [],",
+        '});',
+        '',
+      ].join('\n'),
+    );
+
+    const globs = readVitestTestGlobs(packageRoot(), workspaceRoot);
+
+    expect(globs.warnings).toEqual([
+      'packages/cart/vitest.config.ts:6: test.include is not a literal array of globs, ignoring it',
+      'packages/cart/vitest.config.ts:7: test.exclude is not a literal array of globs, ignoring it',
+    ]);
+    expect(globs.include).toEqual(['src/**/*.test.ts']);
+    expect(globs.exclude).toEqual(['**/node_modules/**']);
+  });
+});
+
+describe('isVitestTestFile', () => {
+  const globs = {
+    include: ['src/**/*.test.ts'],
+    exclude: ['**/fixtures', 'src/legacy/'],
+  };
+
+  it.each([
+    ['src/cart.test.ts', true],
+    ['src/lib/cart.test.ts', true],
+    ['src/lib/cart.ts', false],
+    ['e2e/cart.test.ts', false],
+    // Excluded through the directories they are in
+    ['src/fixtures/cart.test.ts', false],
+    ['src/lib/fixtures/deep/cart.test.ts', false],
+    ['src/legacy/cart.test.ts', false],
+  ])('%s: %s', (relativePath, runs) => {
+    expect(isVitestTestFile(globs, relativePath)).toBe(runs);
+  });
+});
@@ -0,0 +1,334 @@
+/**
+ * Workspace project discovery for the anonymizer scripts.
+ *
+ * A project is any directory matched by the `packages` globs in
+ * pnpm-workspace.yaml, plus any directory with a project.json (the files Nx
+ * builds its project graph from). The workspace root project is never
+ * included.
+ *
+ * findWorkspaceDependencies follows the workspace packages a set of
+ * projects depends on, through `workspace:` entries in package.json and
+ * imports of other projects' package names or tsconfig.base.json path
+ * aliases. pruneWorkspaceReferences drops the aliases and root
+ * dependencies left pointing at projects a partial copy of the workspace
+ * does not have.
+ *
+ * Also has the glob matching used for workspace-relative paths.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const picomatch = require('picomatch');
+const ts = require('typescript');
+const {
+  findModuleSpecifiers,
+  isPathSpecifier,
+} = require('./anonymize-imports');
+
+// picomatch options: `*` also matches dot files, and `[!...]` negates a
+// character class as it does in shell globs
+const GLOB_OPTIONS = { dot: true, posix: true };
+
+// Directories never searched for projects
+const IGNORED_DIRECTORIES = new Set([
+  'node_modules',
+  'dist',
+  'tmp',
+  'reports',
+  'coverage',
+  '.git',
+  '.nx',
+  '.anonymizer',
+]);
+
+// Read the `packages` globs from pnpm-workspace.yaml
+function readPnpmWorkspacePatterns(workspaceRoot) {
+  const workspaceFilePath = path.join(workspaceRoot, 'pnpm-workspace.yaml');
+  if (!fs.existsSync(workspaceFilePath)) {
+    return [];
+  }
+
+  const patterns = [];
+  let inPackages = false;
+  for (const line of fs.readFileSync(workspaceFilePath, 'utf8').split('\n')) {
+    if (/^\S/.test(line)) {
+      inPackages = /^packages:\s*$/.test(line);
+      continue;
+    }
+
+    const item = line.match(/^\s+-\s+(['"]?)(.+?)\1\s*$/);
+    if (inPackages && item) {
+      patterns.push(item[2]);
+    }
+  }
+  return patterns;
+}
+
+// Expand a workspace glob to directories, one path segment at a time
+function expandDirectoryGlob(workspaceRoot, pattern) {
+  const segments = pattern.replace(/\/+$/, '').split('/');
+  let matches = [workspaceRoot];
+
+  for (const segment of segments) {
+    const next = [];
+    for (const dir of matches) {
+      if (segment === '**') {
+        next.push(dir, ...listDirectories(dir, true));
+      } else if (picomatch.scan(segment).isGlob) {
+        next.push(
+          ...listDirectories(dir, false).filter((child) =>
+            picomatch.isMatch(path.basename(child), segment, GLOB_OPTIONS),
+          ),
+        );
+      } else if (fs.existsSync(path.join(dir, segment))) {
+        next.push(path.join(dir, segment));
+      }
+    }
+    matches = next;
+  }
+
+  return matches.filter((dir) => fs.statSync(dir).isDirectory());
+}
+
+// List child directories, optionally recursively
+function listDirectories(dir, recursive, dirs = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!entry.isDirectory() || IGNORED_DIRECTORIES.has(entry.name)) {
+      continue;
+    }
+
+    const fullPath = path.join(dir, entry.name);
+    dirs.push(fullPath);
+    if (recursive) {
+      listDirectories(fullPath, true, dirs);
+    }
+  }
+  return dirs;
+}
+
+// Find every directory below the workspace root that has a project.json
+function findNxProjectRoots(workspaceRoot) {
+  return listDirectories(workspaceRoot, true).filter((dir) =>
+    fs.existsSync(path.join(dir, 'project.json')),
+  );
+}
+
+// Find the absolute root of every project in the workspace, sorted
+function findWorkspaceProjects(workspaceRoot) {
+  const projectRoots = new Set(findNxProjectRoots(workspaceRoot));
+  const excluded = new Set();
+
+  for (const pattern of readPnpmWorkspacePatterns(workspaceRoot)) {
+    const isExclusion = pattern.startsWith('!');
+    for (const dir of expandDirectoryGlob(
+      workspaceRoot,
+      isExclusion ? pattern.slice(1) : pattern,
+    )) {
+      if (isExclusion) {
+        excluded.add(dir);
+      } else if (fs.existsSync(path.join(dir, 'package.json'))) {
+        projectRoots.add(dir);
+      }
+    }
+  }
+
+  return [...projectRoots]
+    .filter((dir) => dir !== workspaceRoot && !excluded.has(dir))
+    .sort();
+}
+
+// Fields of package.json that list dependencies
+const DEPENDENCY_FIELDS = [
+  'dependencies',
+  'devDependencies',
+  'peerDependencies',
+  'optionalDependencies',
+];
+
+// Read the compiler options of tsconfig.base.json, which may have comments
+function readBaseCompilerOptions(workspaceRoot) {
+  const tsConfigPath = path.join(workspaceRoot, 'tsconfig.base.json');
+  if (!fs.existsSync(tsConfigPath)) {
+    return {};
+  }
+  const { config } = ts.readConfigFile(tsConfigPath, ts.sys.readFile);
+  return config?.compilerOptions || {};
+}
+
+// The names other projects import each project by: its package name and
+// the tsconfig.base.json path aliases that point into it
+function readImportNames(workspaceRoot, projectRoots) {
+  const importNames = new Map(projectRoots.map((root) => [root, []]));
+
+  for (const root of projectRoots) {
+    const packageJsonPath = path.join(root, 'package.json');
+    if (fs.existsSync(packageJsonPath)) {
+      const { name } = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+      if (name) {
+        importNames.get(root).push(name);
+      }
+    }
+  }
+
+  const { baseUrl = '.', paths = {} } = readBaseCompilerOptions(workspaceRoot);
+  for (const [alias, targets] of Object.entries(paths)) {
+    const target = path.resolve(workspaceRoot, baseUrl, targets[0] || '');
+    const root = projectRoots.find((projectRoot) =>
+      target.startsWith(projectRoot + path.sep),
+    );
+    if (root) {
+      importNames.get(root).push(alias);
+    }
+  }
+
+  return importNames;
+}
+
+// Whether a module specifier imports a package name or path alias. An
+// alias ending in `/*` matches anything below it.
+function importsName(specifier, name) {
+  return name.endsWith('/*')
+    ? specifier.startsWith(name.slice(0, -1))
+    : specifier === name || specifier.startsWith(`${name}/`);
+}
+
+// List the package names and path aliases a project depends on
+function readDependencySpecifiers(projectRoot) {
+  const specifiers = new Set();
+
+  const packageJsonPath = path.join(projectRoot, 'package.json');
+  if (fs.existsSync(packageJsonPath)) {
+    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+    for (const field of DEPENDENCY_FIELDS) {
+      for (const [name, version] of Object.entries(packageJson[field] || {})) {
+        if (String(version).startsWith('workspace:')) {
+          specifiers.add(name);
+        }
+      }
+    }
+  }
+
+  const sourceFiles = [
+    projectRoot,
+    ...listDirectories(projectRoot, true),
+  ].flatMap((dir) =>
+    fs
+      .readdirSync(dir, { withFileTypes: true })
+      .filter((entry) => entry.isFile() && /\.[cm]?[jt]sx?$/.test(entry.name))
+      .map((entry) => path.join(dir, entry.name)),
+  );
+  for (const filePath of sourceFiles) {
+    for (const { specifier } of findModuleSpecifiers(
+      filePath,
+      fs.readFileSync(filePath, 'utf8'),
+    )) {
+      if (!isPathSpecifier(specifier)) {
+        specifiers.add(specifier);
+      }
+    }
+  }
+
+  return specifiers;
+}
+
+// Find the absolute roots of the workspace projects the given ones depend
+// on, directly or through each other, that are not among them, sorted
+function findWorkspaceDependencies(workspaceRoot, projectRoots) {
+  const importNames = readImportNames(
+    workspaceRoot,
+    findWorkspaceProjects(workspaceRoot),
+  );
+  const found = new Set(projectRoots);
+  const pending = [...projectRoots];
+
+  while (pending.length > 0) {
+    const specifiers = [...readDependencySpecifiers(pending.shift())];
+    for (const [root, names] of importNames) {
+      if (
+        !found.has(root) &&
+        specifiers.some((specifier) =>
+          names.some((name) => importsName(specifier, name)),
+        )
+      ) {
+        found.add(root);
+        pending.push(root);
+      }
+    }
+  }
+
+  return [...found].filter((root) => !projectRoots.includes(root)).sort();
+}
+
+// Drop the tsconfig.base.json path aliases whose target is missing, and the
+// `workspace:` dependencies of the root package.json that no project is
+// named, returning the dropped names
+function pruneWorkspaceReferences(workspaceRoot) {
+  const dropped = [];
+
+  const tsConfigPath = path.join(workspaceRoot, 'tsconfig.base.json');
+  if (fs.existsSync(tsConfigPath)) {
+    const { config } = ts.readConfigFile(tsConfigPath, ts.sys.readFile);
+    const { baseUrl = '.', paths } = config?.compilerOptions || {};
+    for (const [alias, targets] of Object.entries(paths || {})) {
+      // `packages/a/src/*` exists if packages/a/src/ does
+      const target = path.resolve(
+        workspaceRoot,
+        baseUrl,
+        (targets[0] || '').split('*')[0],
+      );
+      if (!fs.existsSync(target)) {
+        delete paths[alias];
+        dropped.push(alias);
+      }
+    }
+    if (dropped.length > 0) {
+      fs.writeFileSync(tsConfigPath, JSON.stringify(config, null, 2) + '\n');
+    }
+  }
+
+  const packageJsonPath = path.join(workspaceRoot, 'package.json');
+  if (fs.existsSync(packageJsonPath)) {
+    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+    const projectNames = new Set(
+      [
+        ...readImportNames(workspaceRoot, findWorkspaceProjects(workspaceRoot)),
+      ].flatMap(([, names]) => names),
+    );
+    let changed = false;
+    for (const field of DEPENDENCY_FIELDS) {
+      for (const [name, version] of Object.entries(packageJson[field] || {})) {
+        if (
+          String(version).startsWith('workspace:') &&
+          !projectNames.has(name)
+        ) {
+          delete packageJson[field][name];
+          dropped.push(name);
+          changed = true;
+        }
+      }
+    }
+    if (changed) {
+      fs.writeFileSync(
+        packageJsonPath,
+        JSON.stringify(packageJson, null, 2) + '\n',
+      );
+    }
+  }
+
+  return dropped;
+}
+
+// Whether a workspace-relative path matches any of the globs. A leading
+// `./` in a glob is ignored.
+function matchesAnyGlob(filePath, globs) {
+  return globs.some((glob) =>
+    picomatch.isMatch(filePath, glob.replace(/^\.\//, ''), GLOB_OPTIONS),
+  );
+}
+
+module.exports = {
+  findWorkspaceProjects,
+  findWorkspaceDependencies,
+  pruneWorkspaceReferences,
+  matchesAnyGlob,
+};
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  findWorkspaceProjects,
+  matchesAnyGlob,
+} = require('./anonymize-workspace');
+const {
+  PACKAGES,
+  createTestWorkspace,
+  removeTestWorkspace,
+} = require('./test-workspace');
+
+describe('matchesAnyGlob', () => {
+  it.each([
+    // pnpm-workspace.yaml packages
+    ['packages/*/*', 'packages/common/ledger-utils', true],
+    ['packages/*/*', 'packages/common', false],
+    ['packages/**', 'packages/common/ledger-utils', true],
+    ['./packages/*/*', 'packages/common/ledger-utils', true],
+    // Vitest include and exclude globs
+    ['src/**/*.test.{js,mjs,cjs,ts,mts,cts,jsx,tsx}', 'src/a.test.ts', true],
+    ['src/**/*.test.{js,mjs,cjs,ts,mts,cts,jsx,tsx}', 'src/a/b.test.tsx', true],
+    ['src/**/*.test.{js,mjs,cjs,ts,mts,cts,jsx,tsx}', 'src/a.spec.ts', false],
+    ['**/*.{test,spec}.?(c|m)[jt]s?(x)', 'src/a.spec.mts', true],
+    ['**/*.{test,spec}.?(c|m)[jt]s?(x)', 'src/a.test.jsx', true],
+    ['**/*.{test,spec}.?(c|m)[jt]s?(x)', 'src/a.test.json', false],
+    ['**/node_modules/**', 'node_modules/vitest/index.js', true],
+    // .anonymizerrc globs, matched against directories with a trailing /
+    ['**/test', 'test', true],
+    ['**/test', 'src/test', true],
+    ['**/test', 'src/test-utils', false],
+    ['**/dist', 'dist/', false],
+    ['eslint-local-rules/', 'eslint-local-rules/', true],
+    // Dot files, character classes and extglobs
+    ['src/**', 'src/.hidden/a.ts', true],
+    ['[!._]*.ts', 'index.ts', true],
+    ['[!._]*.ts', '_index.ts', false],
+    ['!(index).ts', 'main.ts', true],
+    ['!(index).ts', 'index.ts', false],
+  ])('matches %s against %s: %s', (glob, filePath, expected) => {
+    expect(matchesAnyGlob(filePath, [glob])).toBe(expected);
+  });
+
+  it('matches if any of the globs match', () => {
+    expect(matchesAnyGlob('src/a.ts', ['test/**', 'src/*.ts'])).toBe(true);
+    expect(matchesAnyGlob('src/a.ts', [])).toBe(false);
+  });
+});
+
+describe('findWorkspaceProjects', () => {
+  let workspaceRoot;
+
+  beforeEach(() => {
+    workspaceRoot = createTestWorkspace({
+      'pnpm-workspace.yaml': [
+        'packages:',
+        "  - 'packages/*/*'",
+        '  - "tools/*"',
+        "  - '!packages/calculators/pension'",
+        'onlyBuiltDependencies:',
+        '  - esbuild',
+        '',
+      ].join('\n'),
+      'tools/my-plugin/package.json': '{ "name": "@fixture/my-plugin" }\n',
+      'tools/no-package/index.js': '',
+    });
+  });
+
+  afterEach(() => {
+    removeTestWorkspace(workspaceRoot);
+  });
+
+  it('finds pnpm packages and Nx projects, without exclusions', () => {
+    expect(
+      findWorkspaceProjects(workspaceRoot).map((projectRoot) =>
+        path.relative(workspaceRoot, projectRoot),
+      ),
+    ).toEqual([
+      PACKAGES.payroll,
+      PACKAGES.ledgerUtils,
+      path.join('tools', 'my-plugin'),
+    ]);
+  });
+
+  it('finds project.json roots outside the pnpm packages', () => {
+    fs.mkdirSync(path.join(workspaceRoot, 'apps/console'), {
+      recursive: true,
+    });
+    fs.writeFileSync(
+      path.join(workspaceRoot, 'apps/console/project.json'),
+      '{ "name": "console" }\n',
+    );
+
+    expect(findWorkspaceProjects(workspaceRoot)).toContain(
+      path.join(workspaceRoot, 'apps/console'),
+    );
+  });
+});
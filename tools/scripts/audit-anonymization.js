@@ -0,0 +1,351 @@
+#!/usr/bin/env bun
+
+/**
+ * Script to check an anonymized workspace for leaked original names before
+ * it is published.
+ *
+ * Usage: bun tools/scripts/audit-anonymization.js [--mapping <file>] [--allowlist <file>]
+ * Example: bun tools/scripts/audit-anonymization.js
+ *
+ * Every original package name, package and import path, directory name,
+ * file name, test title, target name and source identifier in the private name mapping
+ * (default: .anonymizer/mapping.json) is searched for in the files git would
+ * publish. Each leak is reported as file:line and the script exits non-zero
+ * if any are found.
+ *
+ * Names most projects have, like `lib`, `utils` or `works`, and names
+ * shorter than four characters are not searched for, and neither are the
+ * anonymizer's own scripts, whose doc comments use example names.
+ *
+ * The allowlist (default: .anonymizer/audit-allowlist.json, if present) is a
+ * JSON file of the form:
+ *
+ *   {
+ *     "files": ["tools/scripts/**"],
+ *     "terms": ["lib", { "term": "rates", "files": ["*.md"] }]
+ *   }
+ *
+ * `files` are globs of files to skip. `terms` are original names that may
+ * appear anywhere, or only in the files matching their own globs.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { DEFAULT_MAPPING_PATH, loadMapping } = require('./anonymize-mapping');
+const { matchesAnyGlob } = require('./anonymize-workspace');
+
+const DEFAULT_ALLOWLIST_PATH = '.anonymizer/audit-allowlist.json';
+
+// Files larger than this are not scanned
+const MAX_FILE_SIZE = 1024 * 1024;
+
+// Directories skipped when the workspace is not a git repository
+const SKIPPED_DIRECTORIES = new Set([
+  'node_modules',
+  'dist',
+  'tmp',
+  'coverage',
+  'reports',
+  '.git',
+  '.nx',
+  '.anonymizer',
+]);
+
+// Names too common to say anything about the original code, whatever kind
+// of name they are
+const GENERIC_NAMES = new Set([
+  '__mocks__',
+  '__tests__',
+  'api',
+  'common',
+  'config',
+  'constants',
+  'core',
+  'data',
+  'default',
+  'error',
+  'fixtures',
+  'helpers',
+  'internal',
+  'lib',
+  'main',
+  'mocks',
+  'models',
+  'name',
+  'options',
+  'result',
+  'scripts',
+  'services',
+  'shared',
+  'src',
+  'test',
+  'tests',
+  'tools',
+  'types',
+  'util',
+  'utils',
+  'value',
+  'works',
+]);
+
+// Names shorter than this, like `id` or `add`, match too many unrelated
+// words to be searched for
+const MIN_TERM_LENGTH = 4;
+
+// The anonymizer's own scripts and tests
+const ANONYMIZER_FILES = [
+  'tools/scripts/?(de)anonymize*.js',
+  'tools/scripts/audit-anonymization*.js',
+  'tools/scripts/redact-log*.js',
+  'tools/scripts/test-workspace.js',
+];
+
+// Collect every original name in the mapping, with the kind of name it is
+function collectOriginalTerms(mapping) {
+  const terms = new Map();
+  function addTerm(term, kind) {
+    if (
+      term &&
+      term.length >= MIN_TERM_LENGTH &&
+      !GENERIC_NAMES.has(term) &&
+      !terms.has(term)
+    ) {
+      terms.set(term, kind);
+    }
+  }
+
+  for (const entry of Object.values(mapping.packages)) {
+    addTerm(entry.path, 'package path');
+    addTerm(entry.importPath, 'import path');
+    addTerm(entry.name, 'package name');
+
+    for (const originalDir of Object.values(entry.directories)) {
+      addTerm(path.posix.basename(originalDir), 'directory name');
+    }
+
+    const originalFiles = [
+      ...Object.values(entry.files).map((file) => file.path),
+      ...(entry.sourceFiles || []),
+    ];
+    for (const originalFile of originalFiles) {
+      const stem = path.posix
+        .basename(originalFile)
+        .replace(/(\.(test|spec|steps))?\.([cm]?[jt]sx?|feature)$/, '');
+      if (stem !== 'index') {
+        addTerm(stem, 'file name');
+      }
+    }
+
+    for (const file of Object.values(entry.files)) {
+      for (const { original } of file.names) {
+        addTerm(original, 'test title');
+      }
+    }
+
+    for (const targetName of Object.values(entry.targets || {})) {
+      addTerm(targetName, 'target name');
+    }
+
+    for (const identifier of entry.identifiers || []) {
+      addTerm(identifier, 'source identifier');
+    }
+  }
+
+  return terms;
+}
+
+// Load the allowlist, or an empty one if the file does not exist
+function loadAllowlist(allowlistPath) {
+  if (!fs.existsSync(allowlistPath)) {
+    return { files: [], terms: [] };
+  }
+
+  const allowlist = JSON.parse(fs.readFileSync(allowlistPath, 'utf8'));
+  return {
+    files: allowlist.files || [],
+    terms: (allowlist.terms || []).map((term) =>
+      typeof term === 'string' ? { term, files: ['**'] } : term,
+    ),
+  };
+}
+
+// List the files git would publish, or every file if this is not a repo
+function listPublishedFiles(workspaceRoot) {
+  try {
+    return execFileSync(
+      'git',
+      ['ls-files', '--cached', '--others', '--exclude-standard', '-z'],
+      {
+        cwd: workspaceRoot,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore'],
+      },
+    )
+      .split('\0')
+      .filter(
+        (filePath) =>
+          filePath && fs.existsSync(path.join(workspaceRoot, filePath)),
+      );
+  } catch {
+    const files = [];
+    function walk(dir) {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!SKIPPED_DIRECTORIES.has(entry.name)) {
+            walk(fullPath);
+          }
+        } else if (entry.isFile()) {
+          files.push(
+            path.relative(workspaceRoot, fullPath).replace(/\\/g, '/'),
+          );
+        }
+      }
+    }
+    walk(workspaceRoot);
+    return files;
+  }
+}
+
+// A global regex matching any of the terms, or null if there are none.
+// Terms only match as whole tokens, so `cart` is found in `batch-cart.ts`
+// but not in `carts`.
+function createTermsRegex(terms) {
+  const sortedTerms = [...terms.keys()].sort((a, b) => b.length - a.length);
+  if (sortedTerms.length === 0) {
+    return null;
+  }
+
+  return new RegExp(
+    `(?<![A-Za-z0-9_])(?:${sortedTerms
+      .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|')})(?![A-Za-z0-9_])`,
+    'g',
+  );
+}
+
+// Find every leaked term in the given files
+function findLeaks(workspaceRoot, files, terms, allowlist) {
+  const termsRegex = createTermsRegex(terms);
+  if (!termsRegex) {
+    return [];
+  }
+
+  const leaks = [];
+  for (const filePath of files) {
+    if (matchesAnyGlob(filePath, allowlist.files)) {
+      continue;
+    }
+
+    const absolutePath = path.join(workspaceRoot, filePath);
+    if (fs.statSync(absolutePath).size > MAX_FILE_SIZE) {
+      continue;
+    }
+
+    const buffer = fs.readFileSync(absolutePath);
+    if (buffer.includes(0)) {
+      // Binary file
+      continue;
+    }
+
+    // File names leak too, so check the path before the contents
+    const lines = [filePath, ...buffer.toString('utf8').split('\n')];
+    lines.forEach((line, index) => {
+      for (const match of line.matchAll(termsRegex)) {
+        const term = match[0];
+        const allowed = allowlist.terms.some(
+          (entry) =>
+            entry.term === term && matchesAnyGlob(filePath, entry.files),
+        );
+        if (!allowed) {
+          leaks.push({
+            file: filePath,
+            line: index,
+            term,
+            kind: terms.get(term),
+          });
+        }
+      }
+    });
+  }
+
+  return leaks;
+}
+
+// Print the usage
+function printUsage(print) {
+  print(
+    'Usage: bun tools/scripts/audit-anonymization.js [--mapping <file>] [--allowlist <file>]',
+  );
+  print('Example: bun tools/scripts/audit-anonymization.js');
+}
+
+// Main function
+function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        mapping: { type: 'string', default: DEFAULT_MAPPING_PATH },
+        allowlist: { type: 'string', default: DEFAULT_ALLOWLIST_PATH },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    }));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    printUsage(console.error);
+    process.exit(1);
+  }
+
+  if (values.help) {
+    printUsage(console.log);
+    return;
+  }
+
+  const workspaceRoot = process.cwd();
+  const mappingPath = path.resolve(values.mapping);
+
+  if (!fs.existsSync(mappingPath)) {
+    console.error(`Error: Mapping file does not exist: ${mappingPath}`);
+    process.exit(1);
+  }
+
+  const terms = collectOriginalTerms(loadMapping(mappingPath));
+  const allowlist = loadAllowlist(path.resolve(values.allowlist));
+  const files = listPublishedFiles(workspaceRoot).filter(
+    (filePath) =>
+      path.resolve(workspaceRoot, filePath) !== mappingPath &&
+      !matchesAnyGlob(filePath, ANONYMIZER_FILES),
+  );
+
+  console.log(
+    `Checking ${files.length} files for ${terms.size} original names...`,
+  );
+  const leaks = findLeaks(workspaceRoot, files, terms, allowlist);
+
+  for (const leak of leaks) {
+    const location = leak.line === 0 ? leak.file : `${leak.file}:${leak.line}`;
+    console.log(`  ${location}: ${leak.kind} "${leak.term}"`);
+  }
+
+  if (leaks.length > 0) {
+    const leakedFiles = new Set(leaks.map((leak) => leak.file));
+    console.error(
+      `Found ${leaks.length} leaks in ${leakedFiles.size} files. Anonymize them or add them to the allowlist.`,
+    );
+    process.exit(1);
+  }
+
+  console.log('No leaks found');
+}
+
+module.exports = {
+  collectOriginalTerms,
+  createTermsRegex,
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,87 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { anonymizeWorkspace } = require('./anonymize-package');
+const {
+  PACKAGES,
+  createTestWorkspace,
+  removeTestWorkspace,
+  createSilentLogger,
+} = require('./test-workspace');
+
+const SCRIPT_PATH = path.join(__dirname, 'audit-anonymization.js');
+
+describe('audit-anonymization', () => {
+  let workspaceRoot;
+
+  // Run the audit in the workspace
+  const audit = (...args) =>
+    spawnSync(process.execPath, [SCRIPT_PATH, ...args], {
+      cwd: workspaceRoot,
+      encoding: 'utf8',
+    });
+
+  beforeEach(() => {
+    workspaceRoot = createTestWorkspace({
+      // The anonymizer's own scripts use example names in doc comments
+      'tools/scripts/anonymize-package.js':
+        '// Example: anonymize packages/calculators/payroll\n',
+      // Generic and short original names are common words
+      [`${PACKAGES.payroll}/src/index.ts`]: [
+        "export * from './lib/calculate-payroll';",
+        "export * from './lib/add';",
+        '',
+      ].join('\n'),
+      [`${PACKAGES.payroll}/src/lib/add.ts`]: [
+        'export const add = (a: number, b: number) => a + b;',
+        'export const works = true;',
+        '',
+      ].join('\n'),
+      'README.md':
+        'Call add() to sum values, it works like calculatePayroll.\n',
+    });
+    anonymizeWorkspace({ workspaceRoot, logger: createSilentLogger() });
+  });
+
+  afterEach(() => {
+    removeTestWorkspace(workspaceRoot);
+  });
+
+  it('prints its usage with --help', () => {
+    const { status, stdout } = audit('--help');
+
+    expect(status).toBe(0);
+    expect(stdout).toMatch(/^Usage: .*audit-anonymization\.js/);
+  });
+
+  it('rejects unknown options with its usage', () => {
+    const { status, stderr } = audit('--verbose');
+
+    expect(status).toBe(1);
+    expect(stderr).toContain("Unknown option '--verbose'");
+    expect(stderr).toContain('Usage: ');
+  });
+
+  it('reports leaked names, but not generic ones or its own sources', () => {
+    const { status, stdout } = audit();
+
+    expect(status).toBe(1);
+    expect(stdout.trim().split('\n').slice(1)).toEqual([
+      '  README.md:1: test title "calculatePayroll"',
+    ]);
+  });
+
+  it('passes once the leaks are allowlisted', () => {
+    fs.writeFileSync(
+      path.join(workspaceRoot, '.anonymizer/audit-allowlist.json'),
+      JSON.stringify({
+        terms: [{ term: 'calculatePayroll', files: ['*.md'] }],
+      }),
+    );
+
+    const { status, stdout } = audit();
+
+    expect(status).toBe(0);
+    expect(stdout).toContain('No leaks found');
+  });
+});
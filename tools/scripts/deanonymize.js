@@ -0,0 +1,116 @@
+#!/usr/bin/env bun
+
+/**
+ * Script to map an anonymized path back to the original code.
+ *
+ * Usage: bun tools/scripts/deanonymize.js <anonymized-path> [--mapping <file>] [--json]
+ * Example: bun tools/scripts/deanonymize.js packages/calculators/package-ec0znj/src/dir-1z6tn/dir-fq9qni/test-30r4r2s.test.ts
+ *
+ * The path may be followed by test names in the form Vitest reports them,
+ * e.g. "<file> > test_q > test_si", to look up only those names.
+ *
+ * Reads the private name mapping written by anonymize-package.js
+ * (default: .anonymizer/mapping.json).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+  DEFAULT_MAPPING_PATH,
+  loadMapping,
+  resolveOriginalPath,
+} = require('./anonymize-mapping');
+
+// Split "<file> > describe > test" into the file and the test names
+function parseTestReference(reference) {
+  const [filePath, ...names] = reference.split(/\s+>\s+/);
+  return { filePath: filePath.trim(), names };
+}
+
+// Main function
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      mapping: { type: 'string', default: DEFAULT_MAPPING_PATH },
+      json: { type: 'boolean', default: false },
+    },
+  });
+
+  if (positionals.length === 0) {
+    console.error(
+      'Usage: bun tools/scripts/deanonymize.js <anonymized-path> [--mapping <file>] [--json]',
+    );
+    console.error(
+      'Example: bun tools/scripts/deanonymize.js packages/calculators/package-ec0znj/src/dir-1z6tn/dir-fq9qni/test-30r4r2s.test.ts',
+    );
+    process.exit(1);
+  }
+
+  const mappingPath = path.resolve(values.mapping);
+  if (!fs.existsSync(mappingPath)) {
+    console.error(`Error: Mapping file does not exist: ${mappingPath}`);
+    process.exit(1);
+  }
+
+  const mapping = loadMapping(mappingPath);
+  const workspaceRoot = process.cwd();
+  const { filePath, names } = parseTestReference(positionals.join(' '));
+  const anonymizedPath = path
+    .relative(workspaceRoot, path.resolve(filePath))
+    .replace(/\\/g, '/');
+
+  const resolved = resolveOriginalPath(mapping, anonymizedPath);
+  if (!resolved) {
+    console.error(`Error: No mapping found for ${anonymizedPath}`);
+    process.exit(1);
+  }
+
+  const fileNames = resolved.file ? resolved.file.names : [];
+  const matchedNames =
+    names.length > 0
+      ? fileNames.filter((entry) => names.includes(entry.name))
+      : fileNames;
+
+  const unknownNames = names.filter(
+    (name) => !fileNames.some((entry) => entry.name === name),
+  );
+
+  if (values.json) {
+    console.log(
+      JSON.stringify(
+        {
+          path: anonymizedPath,
+          originalPath: resolved.path,
+          package: {
+            name: resolved.package.name,
+            newName: resolved.package.newName,
+          },
+          names: matchedNames,
+          unknownNames,
+        },
+        null,
+        2,
+      ),
+    );
+  } else {
+    console.log(`Anonymized: ${anonymizedPath}`);
+    console.log(`Original:   ${resolved.path}`);
+    console.log(
+      `Package:    ${resolved.package.newName} -> ${resolved.package.name}`,
+    );
+    for (const entry of matchedNames) {
+      console.log(`  ${entry.kind} ${entry.name} -> ${entry.original}`);
+    }
+    for (const name of unknownNames) {
+      console.warn(`  Warning: No mapping found for test name ${name}`);
+    }
+  }
+
+  if (unknownNames.length > 0) {
+    process.exit(1);
+  }
+}
+
+main();
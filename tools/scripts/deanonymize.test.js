@@ -0,0 +1,85 @@
+const { execFileSync } = require('child_process');
+const path = require('path');
+const { anonymizePackage } = require('./anonymize-package');
+const {
+  PACKAGES,
+  createTestWorkspace,
+  removeTestWorkspace,
+  createSilentLogger,
+} = require('./test-workspace');
+
+const SCRIPT_PATH = path.join(__dirname, 'deanonymize.js');
+
+// Follow a path through the renames of a run, from the given one on
+function followRenames(renames, filePath, start = 0) {
+  return renames.slice(start).reduce((currentPath, { from, to }) => {
+    if (currentPath === from) {
+      return to;
+    }
+    return currentPath.startsWith(`${from}/`)
+      ? to + currentPath.slice(from.length)
+      : currentPath;
+  }, filePath);
+}
+
+describe('deanonymize', () => {
+  let workspaceRoot;
+  let result;
+
+  // Run deanonymize.js in the workspace and parse its JSON output
+  const deanonymize = (...args) =>
+    JSON.parse(
+      execFileSync(process.execPath, [SCRIPT_PATH, ...args, '--json'], {
+        cwd: workspaceRoot,
+        encoding: 'utf8',
+      }),
+    );
+
+  beforeEach(() => {
+    workspaceRoot = createTestWorkspace();
+    result = anonymizePackage(PACKAGES.payroll, {
+      workspaceRoot,
+      logger: createSilentLogger(),
+    });
+  });
+
+  afterEach(() => {
+    removeTestWorkspace(workspaceRoot);
+  });
+
+  it('maps every renamed path back to the original', () => {
+    expect(result.renames.length).toBeGreaterThan(2);
+    result.renames.forEach(({ from }, index) => {
+      const anonymizedPath = followRenames(result.renames, from, index);
+      expect(deanonymize(anonymizedPath).originalPath).toBe(from);
+    });
+  });
+
+  it('maps the test names of a test file back to the originals', () => {
+    const anonymizedPath = followRenames(
+      result.renames,
+      `${PACKAGES.payroll}/src/lib/calculate-payroll.test.ts`,
+    );
+
+    const {
+      originalPath,
+      package: packageNames,
+      names,
+    } = deanonymize(anonymizedPath);
+
+    expect(originalPath).toBe(
+      `${PACKAGES.payroll}/src/lib/calculate-payroll.test.ts`,
+    );
+    expect(packageNames.name).toBe('payroll');
+    expect(names.map(({ original }) => original)).toEqual(
+      expect.arrayContaining([
+        'calculatePayroll',
+        'keeps the gross pay',
+        'pays %i gross as %i net',
+      ]),
+    );
+
+    const [suite] = names;
+    expect(deanonymize(anonymizedPath, '>', suite.name).names).toEqual([suite]);
+  });
+});
@@ -0,0 +1,197 @@
+#!/usr/bin/env bun
+
+/**
+ * Script to redact Vitest extension output logs before attaching them to an
+ * issue.
+ *
+ * Usage: bun tools/scripts/redact-log.js <log-file>... [--in-place] [--mapping <file>]
+ * Example: bun tools/scripts/redact-log.js Vitest-init.log --in-place
+ *
+ * Replaces user names in home directory paths, machine host names, private
+ * IPv4 addresses, process IDs and ports. Each distinct PID and port gets its own placeholder
+ * (<pid-1>, <port-1>, ...) so lines about the same process or connection
+ * can still be matched up. The original paths of renamed packages,
+ * directories and test files, and package import paths, are replaced using
+ * the private name mapping written by anonymize-package.js
+ * (default: .anonymizer/mapping.json), so log lines match the anonymized
+ * tree.
+ *
+ * The redacted log is printed, or written back to the file with --in-place.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+  DEFAULT_MAPPING_PATH,
+  loadMapping,
+  createNameScrubber,
+} = require('./anonymize-mapping');
+
+// Home directories on macOS, Linux and Windows, capturing the user name
+const HOME_PATH_PATTERN =
+  /(\/Users|\/home|\b[A-Za-z]:\\Users)([\\/])([^\\/\s'"`:;,)]+)/g;
+
+// Hosts that say nothing about the machine
+const LOCAL_HOSTS = new Set([
+  'localhost',
+  '127.0.0.1',
+  '0.0.0.0',
+  '[::1]',
+  'host',
+]);
+
+// Addresses of the private IPv4 ranges, which can identify a machine on its
+// network
+const PRIVATE_IPV4_PATTERN =
+  /(?<![\d.])(?:10(?:\.\d{1,3}){3}|192\.168(?:\.\d{1,3}){2}|172\.(?:1[6-9]|2\d|3[01])(?:\.\d{1,3}){2})(?!\.?\d)/g;
+
+const REDACTED_USER = 'user';
+const REDACTED_HOST = 'host';
+
+// Escape text for use in a regular expression
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Replace a whole-token name everywhere in the text
+function replaceToken(text, name, replacement) {
+  return text.replace(
+    new RegExp(
+      `(?<![A-Za-z0-9_.-])${escapeRegExp(name)}(?![A-Za-z0-9_-])`,
+      'g',
+    ),
+    replacement,
+  );
+}
+
+// Build a function that gives each distinct value a numbered placeholder
+function createPlaceholders(kind) {
+  const placeholders = new Map();
+  return (value) => {
+    if (!placeholders.has(value)) {
+      placeholders.set(value, `<${kind}-${placeholders.size + 1}>`);
+    }
+    return placeholders.get(value);
+  };
+}
+
+// Keep a JSON property that had a number value valid by quoting its
+// placeholder
+function formatValue(separator, placeholder) {
+  return /^"\s*:\s*$/.test(separator) ? `"${placeholder}"` : placeholder;
+}
+
+// Redact user names, host names, PIDs and ports from a log, after replacing
+// original names with scrubNames
+function redactLog(text, scrubNames) {
+  let redacted = scrubNames(text);
+
+  // User names from home directory paths, wherever else they appear too
+  const userNames = new Set();
+  redacted = redacted.replace(HOME_PATH_PATTERN, (_, home, separator, user) => {
+    userNames.add(user);
+    return `${home}${separator}${REDACTED_USER}`;
+  });
+  for (const userName of userNames) {
+    if (userName !== REDACTED_USER) {
+      redacted = replaceToken(redacted, userName, REDACTED_USER);
+    }
+  }
+
+  // This machine's host name and private addresses, and any other host in a
+  // URL or hostname field, which can be a JSON property
+  const hostName = os.hostname();
+  for (const name of new Set([hostName, hostName.split('.')[0]])) {
+    if (name.length >= 3 && !LOCAL_HOSTS.has(name)) {
+      redacted = replaceToken(redacted, name, REDACTED_HOST);
+    }
+  }
+  redacted = redacted
+    .replace(
+      /\b([a-z][a-z0-9+.-]*:\/\/)([^/\s:@'"]+)/gi,
+      (match, scheme, host) =>
+        LOCAL_HOSTS.has(host.toLowerCase()) || /^127\./.test(host)
+          ? match
+          : `${scheme}${REDACTED_HOST}`,
+    )
+    .replace(
+      /\b(hostname"?\s*[=:]\s*["']?)([^"'\s,}]+)/gi,
+      `$1${REDACTED_HOST}`,
+    )
+    .replace(PRIVATE_IPV4_PATTERN, REDACTED_HOST)
+    .replace(/(?<![\w./-])[\w-]+\.(local|lan|internal)\b/gi, REDACTED_HOST);
+
+  const pid = createPlaceholders('pid');
+  const port = createPlaceholders('port');
+  return redacted
+    .replace(
+      /\b(pid|process)("?\s*[:=#]?\s*["']?)(\d+)\b/gi,
+      (_, label, separator, value) =>
+        `${label}${separator}${formatValue(separator, pid(value))}`,
+    )
+    .replace(
+      /((?:\/\/|\b)(?:localhost|host|\d{1,3}(?:\.\d{1,3}){3}|\[[0-9a-f:]+\])):(\d{2,5})\b/gi,
+      (_, host, value) => `${host}:${port(value)}`,
+    )
+    .replace(
+      /\b(port)("?\s*[:=]?\s*["']?)(\d{2,5})\b/gi,
+      (_, label, separator, value) =>
+        `${label}${separator}${formatValue(separator, port(value))}`,
+    );
+}
+
+// Main function
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'in-place': { type: 'boolean', default: false },
+      mapping: { type: 'string', default: DEFAULT_MAPPING_PATH },
+    },
+  });
+
+  if (positionals.length === 0) {
+    console.error(
+      'Usage: bun tools/scripts/redact-log.js <log-file>... [--in-place] [--mapping <file>]',
+    );
+    console.error(
+      'Example: bun tools/scripts/redact-log.js Vitest-init.log --in-place',
+    );
+    process.exit(1);
+  }
+
+  const mappingPath = path.resolve(values.mapping);
+  let scrubNames = (text) => text;
+  if (fs.existsSync(mappingPath)) {
+    scrubNames = createNameScrubber(
+      Object.values(loadMapping(mappingPath).packages),
+    );
+  } else {
+    console.warn(
+      `Warning: Mapping file does not exist, original names are not replaced: ${mappingPath}`,
+    );
+  }
+
+  for (const logPath of positionals) {
+    const absoluteLogPath = path.resolve(logPath);
+    if (!fs.existsSync(absoluteLogPath)) {
+      console.error(`Error: Log file does not exist: ${absoluteLogPath}`);
+      process.exit(1);
+    }
+
+    const redacted = redactLog(
+      fs.readFileSync(absoluteLogPath, 'utf8'),
+      scrubNames,
+    );
+    if (values['in-place']) {
+      fs.writeFileSync(absoluteLogPath, redacted, 'utf8');
+      console.log(`Redacted ${logPath}`);
+    } else {
+      process.stdout.write(redacted);
+    }
+  }
+}
+
+main();
@@ -0,0 +1,73 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { anonymizePackage } = require('./anonymize-package');
+const {
+  PACKAGES,
+  createTestWorkspace,
+  removeTestWorkspace,
+  createSilentLogger,
+} = require('./test-workspace');
+
+const SCRIPT_PATH = path.join(__dirname, 'redact-log.js');
+
+describe('redact-log', () => {
+  let workspaceRoot;
+
+  // Redact a log in the workspace and return the printed result
+  const redact = (log) => {
+    fs.writeFileSync(path.join(workspaceRoot, 'Vitest.log'), log, 'utf8');
+    const { status, stdout, stderr } = spawnSync(
+      process.execPath,
+      [SCRIPT_PATH, 'Vitest.log'],
+      { cwd: workspaceRoot, encoding: 'utf8' },
+    );
+    expect(stderr).toBe('');
+    expect(status).toBe(0);
+    return stdout;
+  };
+
+  beforeEach(() => {
+    workspaceRoot = createTestWorkspace();
+    anonymizePackage(PACKAGES.payroll, {
+      workspaceRoot,
+      logger: createSilentLogger(),
+    });
+  });
+
+  afterEach(() => {
+    removeTestWorkspace(workspaceRoot);
+  });
+
+  it('redacts the fields of JSON log lines', () => {
+    const log = JSON.stringify({
+      level: 'info',
+      hostname: 'build-box-7',
+      pid: 4242,
+      port: 51234,
+      msg: 'Listening on 192.168.1.20:51234',
+      file: '/home/jdoe/repo/packages/calculators/payroll/src/index.ts',
+    });
+
+    expect(JSON.parse(redact(log))).toEqual({
+      level: 'info',
+      hostname: 'host',
+      pid: '<pid-1>',
+      port: '<port-1>',
+      msg: 'Listening on host:<port-1>',
+      file: expect.stringMatching(
+        /^\/home\/user\/repo\/packages\/calculators\/package-\w+\/src\/index\.ts$/,
+      ),
+    });
+  });
+
+  it('redacts private IPv4 addresses only', () => {
+    expect(
+      redact(
+        'peers 10.0.3.7, 172.20.0.2 and 192.168.0.1; public 172.32.0.1, 8.8.8.8, loopback 127.0.0.1; version 10.1.2.3.4\n',
+      ),
+    ).toBe(
+      'peers host, host and host; public 172.32.0.1, 8.8.8.8, loopback 127.0.0.1; version 10.1.2.3.4\n',
+    );
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Fixture workspace for the tests of the anonymizer scripts.
+ *
+ * createTestWorkspace writes a small Nx workspace to a temporary directory:
+ *
+ * - packages/common/ledger-utils (@fixture/ledger-utils), a library
+ * - packages/calculators/payroll (@fixture/payroll), which imports
+ *   ledger-utils and has a tool target that runs one of its source files,
+ *   and a target depending on it
+ * - packages/calculators/pension (@fixture/pension), which imports a type
+ *   from payroll
+ *
+ * Every package has a project.json, a Vitest config calling
+ * createVitestConfig, tsconfig files and a test file. The packages have no
+ * external dependencies, so `pnpm install --offline` works in a copy, and
+ * their tsconfig.lib.json type-checks with the workspace's TypeScript.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PACKAGES = {
+  ledgerUtils: 'packages/common/ledger-utils',
+  payroll: 'packages/calculators/payroll',
+  pension: 'packages/calculators/pension',
+};
+
+const json = (value) => JSON.stringify(value, null, 2) + '\n';
+
+const ROOT_FILES = {
+  'package.json': json({ name: 'fixture-workspace', private: true }),
+  'pnpm-workspace.yaml': "packages:\n  - 'packages/*/*'\n",
+  'nx.json': json({
+    targetDefaults: {
+      '@nx/vite:test': {
+        options: { reportsDirectory: '../../../reports/{projectRoot}' },
+      },
+      build: { cache: true },
+    },
+  }),
+  'tsconfig.base.json': json({
+    compilerOptions: {
+      baseUrl: '.',
+      module: 'commonjs',
+      moduleResolution: 'node',
+      target: 'es2022',
+      strict: true,
+      skipLibCheck: true,
+      types: [],
+      paths: {
+        '@fixture/ledger-utils': [`${PACKAGES.ledgerUtils}/src/index.ts`],
+        '@fixture/payroll': [`${PACKAGES.payroll}/src/index.ts`],
+        '@fixture/pension': [`${PACKAGES.pension}/src/index.ts`],
+      },
+    },
+  }),
+  'vitest.base.ts': [
+    "import { defineConfig } from 'vitest/config';",
+    '',
+    'export const createVitestConfig = (overrides = {}) =>',
+    '  defineConfig({',
+    "    test: { include: ['src/**/*.test.ts'], ...overrides },",
+    '  });',
+    '',
+  ].join('\n'),
+};
+
+// The config files every package has
+function packageFiles(name, dependencies, targets = {}) {
+  return {
+    'package.json': json({
+      name: `@fixture/${name}`,
+      version: '0.0.1',
+      main: './src/index.ts',
+      dependencies: Object.fromEntries(
+        dependencies.map((dependency) => [
+          `@fixture/${dependency}`,
+          'workspace:*',
+        ]),
+      ),
+    }),
+    'project.json': json({
+      name,
+      sourceRoot: '{projectRoot}/src',
+      projectType: 'library',
+      targets: {
+        build: {
+          executor: '@nx/js:tsc',
+          options: { tsConfig: '{projectRoot}/tsconfig.lib.json' },
+        },
+        test: { executor: '@nx/vite:test' },
+        ...targets,
+      },
+    }),
+    'vitest.config.ts': [
+      "import { createVitestConfig } from '../../../vitest.base';",
+      '',
+      'export default createVitestConfig({});',
+      '',
+    ].join('\n'),
+    'tsconfig.json': json({ extends: '../../../tsconfig.base.json' }),
+    'tsconfig.lib.json': json({
+      extends: './tsconfig.json',
+      include: ['src/**/*.ts'],
+      exclude: ['src/**/*.test.ts'],
+    }),
+  };
+}
+
+const PACKAGE_FILES = {
+  [PACKAGES.ledgerUtils]: {
+    ...packageFiles('ledger-utils', []),
+    'src/index.ts': "export * from './lib/round-pennies';\n",
+    'src/lib/round-pennies.ts': [
+      'export function roundPennies(amount: number): number {',
+      '  return Math.round(amount * 100) / 100;',
+      '}',
+      '',
+    ].join('\n'),
+    'src/lib/round-pennies.test.ts': [
+      "import { roundPennies } from './round-pennies';",
+      '',
+      "describe('roundPennies', () => {",
+      "  it('rounds to two decimals', () => {",
+      '    expect(roundPennies(1.005)).toBe(1);',
+      '  });',
+      '});',
+      '',
+    ].join('\n'),
+  },
+  [PACKAGES.payroll]: {
+    ...packageFiles('payroll', ['ledger-utils'], {
+      'tools:batch-payroll': {
+        executor: 'nx:run-commands',
+        options: {
+          commands: [
+            "ts-node --project '{projectRoot}/tsconfig.lib.json' '{projectRoot}/src/tools/batch-payroll.ts'",
+          ],
+        },
+      },
+      batch: {
+        executor: 'nx:noop',
+        dependsOn: ['tools:batch-payroll'],
+      },
+    }),
+    'src/index.ts': "export * from './lib/calculate-payroll';\n",
+    'src/lib/calculate-payroll.ts': [
+      "import { roundPennies } from '@fixture/ledger-utils';",
+      '',
+      'export interface Payslip {',
+      '  gross: number;',
+      '  net: number;',
+      '}',
+      '',
+      'export function calculatePayroll(gross: number): Payslip {',
+      '  return { gross, net: roundPennies(gross * 0.8) };',
+      '}',
+      '',
+    ].join('\n'),
+    'src/lib/calculate-payroll.test.ts': [
+      "import { calculatePayroll } from './calculate-payroll';",
+      '',
+      "describe('calculatePayroll', () => {",
+      '  beforeEach(() => {',
+      '    vi.useFakeTimers();',
+      '  });',
+      '',
+      "  it('keeps the gross pay', () => {",
+      '    expect(calculatePayroll(100).gross).toBe(100);',
+      '  });',
+      '',
+      '  it.each([',
+      '    [100, 80],',
+      '    [200, 160],',
+      '    [300, 240],',
+      "  ])('pays %i gross as %i net', (gross, net) => {",
+      '    expect(calculatePayroll(gross).net).toBe(net);',
+      '  });',
+      '});',
+      '',
+    ].join('\n'),
+    'src/tools/batch-payroll.ts': [
+      "import { calculatePayroll } from '../lib/calculate-payroll';",
+      '',
+      'console.log(calculatePayroll(1000));',
+      '',
+    ].join('\n'),
+  },
+  [PACKAGES.pension]: {
+    ...packageFiles('pension', ['payroll']),
+    'src/index.ts': [
+      "import type { Payslip } from '@fixture/payroll';",
+      '',
+      'export const pensionContribution = (payslip: Payslip): number =>',
+      '  payslip.net * 0.05;',
+      '',
+    ].join('\n'),
+    'src/index.test.ts': [
+      "import { calculatePayroll } from '@fixture/payroll';",
+      "import { pensionContribution } from './index';",
+      '',
+      "describe('pensionContribution', () => {",
+      "  it('is five percent of net pay', () => {",
+      '    expect(pensionContribution(calculatePayroll(100))).toBe(4);',
+      '  });',
+      '});',
+      '',
+    ].join('\n'),
+  },
+};
+
+// Write files given as { relativePath: content } below a directory
+function writeFiles(dir, files) {
+  for (const [relativePath, content] of Object.entries(files)) {
+    const filePath = path.join(dir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content, 'utf8');
+  }
+}
+
+// Write the fixture workspace to a new temporary directory and return its
+// path. Extra files are written over the fixture ones.
+function createTestWorkspace(extraFiles = {}) {
+  const workspaceRoot = fs.mkdtempSync(
+    path.join(os.tmpdir(), 'anonymizer-test-'),
+  );
+  writeFiles(workspaceRoot, ROOT_FILES);
+  for (const [packagePath, files] of Object.entries(PACKAGE_FILES)) {
+    writeFiles(path.join(workspaceRoot, packagePath), files);
+  }
+  writeFiles(workspaceRoot, extraFiles);
+  return workspaceRoot;
+}
+
+// Remove a workspace made by createTestWorkspace
+function removeTestWorkspace(workspaceRoot) {
+  fs.rmSync(workspaceRoot, { recursive: true, force: true });
+}
+
+// Read a JSON file of a workspace
+function readJson(workspaceRoot, relativePath) {
+  return JSON.parse(
+    fs.readFileSync(path.join(workspaceRoot, relativePath), 'utf8'),
+  );
+}
+
+// A logger that keeps messages instead of printing them
+function createSilentLogger() {
+  const messages = [];
+  return {
+    messages,
+    log: (message) => messages.push(message),
+    warn: (message) => messages.push(message),
+  };
+}
+
+module.exports = {
+  PACKAGES,
+  createTestWorkspace,
+  removeTestWorkspace,
+  readJson,
+  createSilentLogger,
+};
@@ -0,0 +1,248 @@
+#!/usr/bin/env bun
+
+/**
+ * Script to check the Vitest setup of every project in the workspace.
+ *
+ * Usage: bun tools/scripts/validate-vitest-configs.js
+ * Example: nx run vitest-issue-demo:vitest:validate
+ *
+ * For each Nx project it checks that:
+ * - the project has a vitest.config.ts (or another Vitest or Vite config)
+ * - the config calls createVitestConfig imported from vitest.base.ts
+ * - every `test.include` glob of the config matches a test file
+ * - the project has a `test` target
+ * - the test files declare at least one test
+ *
+ * The last check matters because nx.json runs tests with passWithNoTests,
+ * so a project whose tests are never found still passes `nx test`. Tests
+ * are counted statically, with `each` tables counted row by row.
+ *
+ * The results are printed as a table and the script exits non-zero if any
+ * project has a problem.
+ */
+
+const { createProjectGraphAsync } = require('@nx/devkit');
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+const {
+  parseSourceFile,
+  isPathSpecifier,
+  resolveModuleFile,
+} = require('./anonymize-imports');
+const { parseTestFile, walkTestNodes } = require('./anonymize-test-skeleton');
+const { readVitestTestGlobs, isVitestTestFile } = require('./anonymize-vitest');
+const { matchesAnyGlob } = require('./anonymize-workspace');
+
+const BASE_CONFIG_FILE_NAME = 'vitest.base.ts';
+const FACTORY_NAME = 'createVitestConfig';
+
+// Directories never searched for test files
+const SKIPPED_DIRECTORIES = new Set(['node_modules', 'dist', '.git']);
+
+// List every file below a directory, relative to it
+function listFiles(dir, prefix = '', files = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const relativePath = prefix + entry.name;
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRECTORIES.has(entry.name)) {
+        listFiles(path.join(dir, entry.name), `${relativePath}/`, files);
+      }
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+  return files;
+}
+
+// Whether a config file calls createVitestConfig imported from the
+// workspace's vitest.base.ts
+function callsBaseConfig(configPath, baseConfigPath) {
+  const sourceFile = parseSourceFile(
+    configPath,
+    fs.readFileSync(configPath, 'utf8'),
+  );
+
+  const localNames = new Set();
+  for (const statement of sourceFile.statements) {
+    if (
+      !ts.isImportDeclaration(statement) ||
+      !ts.isStringLiteral(statement.moduleSpecifier) ||
+      !isPathSpecifier(statement.moduleSpecifier.text) ||
+      resolveModuleFile(
+        path.dirname(configPath),
+        statement.moduleSpecifier.text,
+      ) !== baseConfigPath
+    ) {
+      continue;
+    }
+    const namedBindings = statement.importClause?.namedBindings;
+    if (namedBindings && ts.isNamedImports(namedBindings)) {
+      for (const element of namedBindings.elements) {
+        if ((element.propertyName || element.name).text === FACTORY_NAME) {
+          localNames.add(element.name.text);
+        }
+      }
+    }
+  }
+
+  let called = false;
+  function visit(node) {
+    if (
+      ts.isCallExpression(node) &&
+      ts.isIdentifier(node.expression) &&
+      localNames.has(node.expression.text)
+    ) {
+      called = true;
+    }
+    ts.forEachChild(node, visit);
+  }
+  visit(sourceFile);
+  return called;
+}
+
+// Count the tests a test file declares
+function countTests(filePath) {
+  const { nodes } = parseTestFile(filePath, fs.readFileSync(filePath, 'utf8'));
+  let count = 0;
+  walkTestNodes(nodes, (node) => {
+    if (node.kind === 'test') {
+      count += node.each ?? 1;
+    }
+  });
+  return count;
+}
+
+// Check the Vitest setup of one project
+function validateProject(workspaceRoot, project) {
+  const projectRoot = path.join(workspaceRoot, project.data.root);
+  const result = {
+    name: project.name,
+    config: null,
+    hasTestTarget: Boolean(project.data.targets?.test),
+    testFiles: 0,
+    tests: 0,
+    problems: [],
+    warnings: [],
+  };
+
+  if (!result.hasTestTarget) {
+    result.problems.push('has no test target');
+  }
+
+  const globs = readVitestTestGlobs(projectRoot, workspaceRoot);
+  if (!globs.configPath) {
+    result.problems.push('has no vitest.config.ts');
+    return result;
+  }
+  result.config = path.relative(projectRoot, globs.configPath);
+  result.warnings.push(...globs.warnings);
+
+  const baseConfigPath = path.join(workspaceRoot, BASE_CONFIG_FILE_NAME);
+  if (!callsBaseConfig(globs.configPath, baseConfigPath)) {
+    result.problems.push(
+      `${result.config} does not call ${FACTORY_NAME} from ${BASE_CONFIG_FILE_NAME}`,
+    );
+  }
+
+  const testFiles = listFiles(projectRoot).filter((filePath) =>
+    isVitestTestFile(globs, filePath),
+  );
+  result.testFiles = testFiles.length;
+  result.tests = testFiles.reduce(
+    (total, filePath) => total + countTests(path.join(projectRoot, filePath)),
+    0,
+  );
+
+  if (testFiles.length === 0) {
+    result.problems.push(
+      `no test files match test.include (${globs.include.join(', ')})`,
+    );
+  } else {
+    for (const glob of globs.include) {
+      if (!testFiles.some((filePath) => matchesAnyGlob(filePath, [glob]))) {
+        result.problems.push(`test.include glob ${glob} matches no test files`);
+      }
+    }
+    if (result.tests === 0) {
+      result.problems.push(
+        'its test files declare no tests (hidden by passWithNoTests)',
+      );
+    }
+  }
+
+  return result;
+}
+
+// Print rows as a table with aligned columns
+function printTable(header, rows) {
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map((row) => String(row[column]).length)),
+  );
+  const format = (row) =>
+    row
+      .map((cell, column) => String(cell).padEnd(widths[column]))
+      .join('  ')
+      .trimEnd();
+
+  console.log(format(header));
+  console.log(format(widths.map((width) => '-'.repeat(width))));
+  rows.forEach((row) => console.log(format(row)));
+}
+
+async function main() {
+  const workspaceRoot = process.cwd();
+  const graph = await createProjectGraphAsync({ exitOnError: false });
+
+  // The workspace root project only holds the shared Vitest configs
+  const projects = Object.values(graph.nodes)
+    .filter((project) => project.data.root !== '.')
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  console.log(`Checking the Vitest setup of ${projects.length} projects...`);
+  const results = projects.map((project) =>
+    validateProject(workspaceRoot, project),
+  );
+
+  console.log('');
+  printTable(
+    ['Project', 'Config', 'Test target', 'Test files', 'Tests', 'Status'],
+    results.map((result) => [
+      result.name,
+      result.config || '-',
+      result.hasTestTarget ? 'yes' : 'no',
+      result.testFiles,
+      result.tests,
+      result.problems.length === 0
+        ? 'ok'
+        : `${result.problems.length} problem${result.problems.length === 1 ? '' : 's'}`,
+    ]),
+  );
+
+  const warnings = results.flatMap((result) => result.warnings);
+  const failed = results.filter((result) => result.problems.length > 0);
+  if (warnings.length > 0 || failed.length > 0) {
+    console.log('');
+  }
+  warnings.forEach((message) => console.log(`  Warning: ${message}`));
+  for (const result of failed) {
+    result.problems.forEach((problem) =>
+      console.log(`  ${result.name}: ${problem}`),
+    );
+  }
+
+  if (failed.length > 0) {
+    console.error(
+      `Found problems in ${failed.length} of ${results.length} projects`,
+    );
+    process.exit(1);
+  }
+
+  console.log('');
+  console.log('All projects are set up correctly');
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
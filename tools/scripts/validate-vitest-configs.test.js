@@ -0,0 +1,105 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const {
+  PACKAGES,
+  createTestWorkspace,
+  removeTestWorkspace,
+} = require('./test-workspace');
+
+const SCRIPT_PATH = path.join(__dirname, 'validate-vitest-configs.js');
+
+describe('validate-vitest-configs', () => {
+  let workspaceRoot;
+
+  // Run the script in the workspace, with a project graph of its own
+  // rather than the one of the Nx run this test may be part of
+  const validate = () =>
+    spawnSync(process.execPath, [SCRIPT_PATH], {
+      cwd: workspaceRoot,
+      encoding: 'utf8',
+      env: {
+        ...Object.fromEntries(
+          Object.entries(process.env).filter(([name]) => !/^NX_/.test(name)),
+        ),
+        NX_DAEMON: 'false',
+      },
+    });
+
+  afterEach(() => {
+    removeTestWorkspace(workspaceRoot);
+  });
+
+  it('passes a workspace set up correctly', () => {
+    workspaceRoot = createTestWorkspace();
+
+    const { status, stdout } = validate();
+
+    expect(status).toBe(0);
+    expect(stdout).toContain(
+      'payroll       vitest.config.ts  yes          1           4      ok',
+    );
+    expect(stdout).toContain('All projects are set up correctly');
+  });
+
+  it.each([
+    [
+      'a project without a Vitest config',
+      { 'vitest.config.ts': null },
+      'has no vitest.config.ts',
+    ],
+    [
+      'a config that does not use the base factory',
+      {
+        'vitest.config.ts': [
+          "import { defineConfig } from 'vitest/config';",
+          '',
+          "export default defineConfig({ test: { include: ['src/**/*.test.ts'] } });",
+          '',
+        ].join('\n'),
+      },
+      'vitest.config.ts does not call createVitestConfig from vitest.base.ts',
+    ],
+    [
+      'an include glob that matches no test files',
+      {
+        'vitest.config.ts': [
+          "import { createVitestConfig } from '../../../vitest.base';",
+          '',
+          'export default createVitestConfig({',
+          "  include: ['src/**/*.test.ts', 'e2e/**/*.test.ts'],",
+          '});',
+          '',
+        ].join('\n'),
+      },
+      'test.include glob e2e/**/*.test.ts matches no test files',
+    ],
+    [
+      'test files without tests',
+      { 'src/index.test.ts': "describe('pensionContribution', () => {});\n" },
+      'its test files declare no tests (hidden by passWithNoTests)',
+    ],
+    [
+      'a project without a test target',
+      { 'project.json': '{ "name": "pension" }\n' },
+      'has no test target',
+    ],
+  ])('fails for %s', (_, files, problem) => {
+    workspaceRoot = createTestWorkspace();
+    for (const [fileName, content] of Object.entries(files)) {
+      const filePath = path.join(workspaceRoot, PACKAGES.pension, fileName);
+      if (content === null) {
+        fs.rmSync(filePath);
+      } else {
+        fs.writeFileSync(filePath, content);
+      }
+    }
+
+    const { status, stdout, stderr } = validate();
+
+    expect(status).toBe(1);
+    expect(stdout).toContain(`  pension: ${problem}\n`);
+    expect(stdout).not.toMatch(/ (ledger-utils|payroll): /);
+    expect(stderr).toBe('Found problems in 1 of 3 projects\n');
+  });
+});
@@ -0,0 +1,322 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workspaceRoot = path.resolve(__dirname, '../..');
+
+// The workspace's shared Vitest modules, copied into each fixture so their
+// paths resolve against the fixture
+const VITEST_MODULES = [
+  'vitest.base.ts',
+  'vitest.coverage.ts',
+  'vitest.event-reporter.ts',
+  'vitest.projects.ts',
+];
+
+// A package whose Vitest config calls createVitestConfig, in packages/ or
+// in a group folder below it
+const packageFiles = (name, tests, group = '') => {
+  const root = path.posix.join('packages', group, name);
+  return {
+    [`${root}/vitest.config.ts`]: [
+      `import { createVitestConfig } from '${path.posix.relative(root, 'vitest.base')}';`,
+      '',
+      'export default createVitestConfig({});',
+      '',
+    ].join('\n'),
+    [`${root}/src/${name}.test.ts`]: tests,
+  };
+};
+
+// Write a workspace with the shared Vitest modules and the given files to a
+// temporary directory, using this workspace's node_modules
+function createVitestWorkspace(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'vitest-configs-'));
+  for (const fileName of VITEST_MODULES) {
+    fs.copyFileSync(
+      path.join(workspaceRoot, fileName),
+      path.join(root, fileName),
+    );
+  }
+  fs.symlinkSync(
+    path.join(workspaceRoot, 'node_modules'),
+    path.join(root, 'node_modules'),
+  );
+  for (const [relativePath, content] of Object.entries({
+    'nx.json': '{}\n',
+    'tsconfig.base.json': '{ "compilerOptions": { "paths": {} } }\n',
+    ...files,
+  })) {
+    fs.mkdirSync(path.dirname(path.join(root, relativePath)), {
+      recursive: true,
+    });
+    fs.writeFileSync(path.join(root, relativePath), content);
+  }
+  return root;
+}
+
+// Run Vitest once in a fixture workspace, without the environment of the
+// Vitest or Nx run this test is part of
+function runVitest(root, args = [], env = {}) {
+  const cleanEnv = Object.fromEntries(
+    Object.entries(process.env).filter(
+      ([name]) => !/^(VITEST|NX_TASK)/.test(name),
+    ),
+  );
+  return spawnSync(
+    process.execPath,
+    [require.resolve('vitest/vitest.mjs'), 'run', ...args],
+    { cwd: root, encoding: 'utf8', env: { ...cleanEnv, ...env } },
+  );
+}
+
+// Every file below a directory, relative to it
+function listFiles(dir) {
+  return fs
+    .readdirSync(dir, { recursive: true, withFileTypes: true })
+    .filter((entry) => entry.isFile())
+    .map((entry) =>
+      path
+        .relative(dir, path.join(entry.parentPath, entry.name))
+        .replace(/\\/g, '/'),
+    )
+    .sort();
+}
+
+describe('createVitestConfig', () => {
+  let root;
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('writes a JUnit report per project in a run of several projects', () => {
+    root = createVitestWorkspace({
+      ...packageFiles('cart', "it('adds', () => {});\n"),
+      ...packageFiles('prices', "it('rounds', () => {});\n"),
+      // Like vitest.sidebar.ts, with a second project in the same root
+      'vitest.config.ts': [
+        "import { createVitestConfig } from './vitest.base';",
+        '',
+        'export default createVitestConfig({',
+        '  projects: [',
+        "    ['cart', 'cart'],",
+        "    ['cart-slow', 'cart'],",
+        "    ['prices', 'prices'],",
+        '  ].map(([name, folder]) => ({',
+        '    extends: `packages/${folder}/vitest.config.ts`,',
+        '    root: `packages/${folder}`,',
+        '    test: { name },',
+        '  })),',
+        '});',
+        '',
+      ].join('\n'),
+    });
+
+    const { status, stderr } = runVitest(root);
+
+    expect(stderr).toBe('');
+    expect(status).toBe(0);
+    expect(listFiles(path.join(root, 'reports'))).toEqual([
+      'packages/cart/vitest-unit-test.cart-slow.xml',
+      'packages/cart/vitest-unit-test.cart.xml',
+      'packages/prices/vitest-unit-test.prices.xml',
+    ]);
+    const report = fs.readFileSync(
+      path.join(root, 'reports/packages/prices/vitest-unit-test.prices.xml'),
+      'utf8',
+    );
+    expect(report).toMatch(/<testsuites name="vitest tests" tests="1" /);
+    expect(report).toContain(
+      '<testcase classname="src/prices.test.ts" name="rounds"',
+    );
+  });
+
+  it('names the report of a single project after the Nx project', () => {
+    root = createVitestWorkspace(
+      packageFiles('cart', "it('adds', () => {});\n"),
+    );
+
+    const { status } = runVitest(root, ['--root', 'packages/cart'], {
+      NX_TASK_TARGET_PROJECT: 'cart',
+    });
+
+    expect(status).toBe(0);
+    expect(listFiles(path.join(root, 'reports'))).toEqual([
+      'packages/cart/vitest-unit-test.cart.xml',
+    ]);
+  });
+});
+
+describe('toCoverageThresholds', () => {
+  it('checks each group on the files of its folder', async () => {
+    const { toCoverageThresholds } = await import('../../vitest.coverage');
+
+    expect(
+      toCoverageThresholds({
+        calculators: { lines: 80, branches: 70 },
+        common: { functions: 90 },
+      }),
+    ).toEqual({
+      'packages/calculators/**': { lines: 80, branches: 70 },
+      'packages/common/**': { functions: 90 },
+    });
+  });
+
+  it('fails a coverage run with a group below its threshold', () => {
+    // cart tests half of its lines, prices all of them
+    const root = createVitestWorkspace({
+      ...packageFiles(
+        'cart',
+        [
+          "import { add } from './add';",
+          '',
+          "it('adds', () => expect(add(1, 2)).toBe(3));",
+          '',
+        ].join('\n'),
+        'calculators',
+      ),
+      'packages/calculators/cart/src/add.ts': [
+        'export const add = (a: number, b: number) => a + b;',
+        'export const subtract = (a: number, b: number) => {',
+        '  return a - b;',
+        '};',
+        '',
+      ].join('\n'),
+      ...packageFiles(
+        'prices',
+        [
+          "import { round } from './round';",
+          '',
+          "it('rounds', () => expect(round(1.4)).toBe(1));",
+          '',
+        ].join('\n'),
+        'common',
+      ),
+      'packages/common/prices/src/round.ts':
+        'export const round = (value: number) => Math.round(value);\n',
+      'vitest.config.ts': [
+        "import { createVitestConfig } from './vitest.base';",
+        "import { toCoverageThresholds } from './vitest.coverage';",
+        '',
+        'export default createVitestConfig({',
+        "  projects: ['calculators/cart', 'common/prices'].map((folder) => ({",
+        '    extends: `packages/${folder}/vitest.config.ts`,',
+        '    root: `packages/${folder}`,',
+        "    test: { name: folder.split('/')[1] },",
+        '  })),',
+        '  coverage: {',
+        '    enabled: true,',
+        "    provider: 'v8',",
+        "    reporter: ['text-summary'],",
+        "    include: ['packages/**/src/**'],",
+        "    exclude: ['**/*.test.ts'],",
+        '    thresholds: toCoverageThresholds({',
+        '      calculators: { lines: 90 },',
+        '      common: { lines: 90 },',
+        '    }),',
+        '  },',
+        '});',
+        '',
+      ].join('\n'),
+    });
+    try {
+      const { status, stderr } = runVitest(root);
+
+      expect(status).toBe(1);
+      expect(stderr).toMatch(
+        /Coverage for lines \(\d+(\.\d+)?%\) does not meet "packages\/calculators\/\*\*" threshold \(90%\)/,
+      );
+      expect(stderr).not.toContain('packages/common/**');
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('createEventReporter', () => {
+  let root;
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('logs each event of a run as a line of JSON', () => {
+    root = createVitestWorkspace(
+      packageFiles(
+        'cart',
+        [
+          "describe('cart', () => {",
+          "  it('adds', () => {});",
+          "  it('rounds', () => expect(1.4).toBe(1));",
+          '});',
+          '',
+        ].join('\n'),
+      ),
+    );
+
+    const { status } = runVitest(root, ['--root', 'packages/cart'], {
+      VITEST_EVENT_LOG: '1',
+    });
+
+    expect(status).toBe(1);
+    const events = fs
+      .readFileSync(
+        path.join(root, 'reports/packages/cart/vitest-events.ndjson'),
+        'utf8',
+      )
+      .trimEnd()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    for (const { time, event } of events) {
+      expect(new Date(time).toISOString()).toBe(time);
+      expect(event).toMatch(/^on[A-Z]/);
+    }
+    expect(events[0]).toEqual({
+      time: expect.any(String),
+      event: 'onInit',
+      pid: expect.any(Number),
+      root: 'packages/cart',
+      watch: false,
+      projects: [''],
+    });
+    expect(
+      events
+        .filter(({ event }) => event === 'onTestCaseResult')
+        .map(({ time, id, duration, ...test }) => {
+          expect(id).toEqual(expect.any(String));
+          expect(duration).toEqual(expect.any(Number));
+          return test;
+        }),
+    ).toEqual([
+      {
+        event: 'onTestCaseResult',
+        name: 'cart > adds',
+        module: 'packages/cart/src/cart.test.ts',
+        project: '',
+        state: 'passed',
+      },
+      {
+        event: 'onTestCaseResult',
+        name: 'cart > rounds',
+        module: 'packages/cart/src/cart.test.ts',
+        project: '',
+        state: 'failed',
+        errors: ['expected 1.4 to be 1 // Object.is equality'],
+      },
+    ]);
+    expect(events.at(-2)).toMatchObject({
+      event: 'onTestRunEnd',
+      reason: 'failed',
+      modules: [
+        {
+          module: 'packages/cart/src/cart.test.ts',
+          project: '',
+          state: 'failed',
+        },
+      ],
+      errors: [],
+    });
+  });
+});
@@ -0,0 +1,9 @@
+/* eslint-disable @nx/enforce-module-boundaries */
+import { createVitestConfig } from '../../vitest.base';
+
+export default createVitestConfig({
+  // The scripts are tested next to their sources, against fixture
+  // workspaces written to the system temp directory
+  include: ['*.test.js'],
+  testTimeout: 60_000,
+});
@@ -1,35 +1,130 @@
 import { nxViteTsPaths } from '@nx/vite/plugins/nx-tsconfig-paths.plugin';
-import { defineConfig } from 'vitest/config';
+import { relative, resolve } from 'node:path';
+import { defineConfig, type Plugin, type ViteUserConfig } from 'vitest/config';
+import type { Reporter, Vitest } from 'vitest/node';
+import { JUnitReporter } from 'vitest/reporters';
+import { createEventReporter } from './vitest.event-reporter';
 
-export const createVitestConfig = (overrides = {}) =>
+const workspaceRoot = __dirname;
+
+// Writes the JUnit report of each project to reports/<project root>, next
+// to its coverage, unless its config sets test.outputFile itself. The file
+// is named after the project, its test.name as in vitest.projects.ts or the
+// Nx project `nx test` runs, so projects sharing a root keep their own
+// report. The root and name are only known once Vitest or Nx has resolved
+// them, so this is a plugin.
+const junitOutputFile = (): Plugin => ({
+  name: 'junit-output-file',
+  config(config) {
+    if (config.test?.outputFile) {
+      return;
+    }
+    const projectRoot = relative(
+      workspaceRoot,
+      resolve(config.test?.root ?? config.root ?? process.cwd()),
+    );
+    const testName = config.test?.name;
+    const projectName =
+      (typeof testName === 'string' ? testName : testName?.label) ??
+      process.env['NX_TASK_TARGET_PROJECT'];
+    return {
+      test: {
+        outputFile: {
+          junit: resolve(
+            workspaceRoot,
+            'reports',
+            projectRoot,
+            projectName
+              ? `vitest-unit-test.${projectName}.xml`
+              : 'vitest-unit-test.xml',
+          ),
+        },
+      },
+    };
+  },
+});
+
+// A run of several projects only uses the reporters of the root config, so
+// the JUnit report each project's own config names would not be written.
+// This writes them, with test files relative to the project root as in a
+// run of the project alone.
+const projectJUnitReporter = (): Reporter => {
+  let vitest: Vitest;
+
+  return {
+    onInit(ctx) {
+      vitest = ctx;
+    },
+    async onFinished(files = []) {
+      for (const project of vitest.projects) {
+        const { outputFile } = project.config;
+        const junitFile =
+          typeof outputFile === 'string' ? outputFile : outputFile?.['junit'];
+        const projectFiles = files.filter(
+          ({ projectName = '' }) => projectName === project.name,
+        );
+        if (!junitFile || projectFiles.length === 0) {
+          continue;
+        }
+        const reporter = new JUnitReporter({ outputFile: junitFile });
+        // Only the config and logger of the context are used
+        await reporter.onInit({
+          config: project.config,
+          logger: vitest.logger,
+        } as Vitest);
+        await reporter.onFinished(projectFiles);
+      }
+    },
+  };
+};
+
+// Files left out of coverage. They are matched relative to the root the
+// coverage is collected from, a package or the workspace, so patterns for
+// package folders start with **.
+export const coverageExclude = [
+  '*.{js,ts}', // configs in root folder
+  '**/*.config.{js,mjs,cjs,ts,mts,cts}',
+  '**/*.d.ts',
+  '**/*.{test,spec}.?(c|m)[jt]s?(x)',
+  '**/constants.{js,ts}',
+  '**/coverage/**',
+  '**/open-api/**/*',
+  '**/schema.{js,ts}',
+  '**/vendor/**',
+  '**/dist/**',
+  'eslint-local-rules/',
+  '**/node_modules/**',
+  '**/src/index.ts', // barrel files
+  '**/test/**', // cucumber folders
+  'tools/scripts/',
+];
+
+export const createVitestConfig = (
+  overrides: NonNullable<ViteUserConfig['test']> = {},
+) =>
   defineConfig({
-    plugins: [nxViteTsPaths()],
+    plugins: [nxViteTsPaths(), junitOutputFile()],
     test: {
       disableConsoleIntercept: !process.env['CI'],
       globals: true,
       environment: 'node',
       include: ['src/**/*.test.{js,mjs,cjs,ts,mts,cts,jsx,tsx}'],
       exclude: ['node_modules', 'dist', '.idea', '.git', '.cache'],
-      reporters: ['default', 'junit'],
+      reporters: [
+        'default',
+        // A config running several projects writes a report per project,
+        // unless it names one file for all of them
+        overrides.projects && !overrides.outputFile
+          ? projectJUnitReporter()
+          : 'junit',
+        // VITEST_EVENT_LOG=1 logs every lifecycle event as NDJSON to
+        // reports/<project root>/vitest-events.ndjson
+        ...(process.env['VITEST_EVENT_LOG'] ? [createEventReporter()] : []),
+      ],
       coverage: {
         provider: 'v8',
         reporter: ['cobertura'],
-        exclude: [
-          '*.{js,ts}', // configs in root folder
-          '**/*.config.{js,ts}',
-          '**/*.d.ts',
-          '**/constants.{js,ts}',
-          '**/coverage/**',
-          '**/open-api/**/*',
-          '**/schema.{js,ts}',
-          '**/vendor/**',
-          'dist/',
-          'eslint-local-rules/',
-          'node_modules/',
-          'packages/*/*/src/index.ts', // barrel files
-          'packages/*/*/test/**', // cucumber folders
-          'tools/scripts/',
-        ],
+        exclude: coverageExclude,
       },
       ...overrides,
     },
@@ -0,0 +1,224 @@
+import { appendFileSync, mkdirSync } from 'node:fs';
+import { dirname, relative, resolve } from 'node:path';
+import type {
+  Reporter,
+  TestCase,
+  TestModule,
+  TestSpecification,
+  TestSuite,
+  Vitest,
+} from 'vitest/node';
+
+const workspaceRoot = __dirname;
+
+const toWorkspacePath = (filePath: string) =>
+  relative(workspaceRoot, filePath).replace(/\\/g, '/');
+
+const describeModule = (testModule: TestModule) => ({
+  id: testModule.id,
+  module: toWorkspacePath(testModule.moduleId),
+  project: testModule.project.name,
+  state: testModule.state(),
+});
+
+const describeSuite = (testSuite: TestSuite) => ({
+  id: testSuite.id,
+  name: testSuite.fullName,
+  module: toWorkspacePath(testSuite.module.moduleId),
+  state: testSuite.state(),
+});
+
+const describeTest = (testCase: TestCase) => {
+  const result = testCase.result();
+  return {
+    id: testCase.id,
+    name: testCase.fullName,
+    module: toWorkspacePath(testCase.module.moduleId),
+    project: testCase.project.name,
+    state: result.state,
+    duration: testCase.diagnostic()?.duration,
+    errors: result.errors?.map((error) => error.message),
+  };
+};
+
+const describeSpecification = (specification: TestSpecification) => ({
+  module: toWorkspacePath(specification.moduleId),
+  project: specification.project.name,
+  testLines: specification.testLines,
+});
+
+// Logs every lifecycle event Vitest emits, and every module it invalidates,
+// as one timestamped JSON object per line in
+// reports/<project root>/vitest-events.ndjson. Meant for finding out what
+// Vitest told the Test Explorer, not for CI: the log is appended to on
+// every run and never trimmed.
+export const createEventReporter = (): Reporter => {
+  let outputFile = '';
+
+  const log = (event: string, data: object = {}) => {
+    appendFileSync(
+      outputFile,
+      JSON.stringify({ time: new Date().toISOString(), event, ...data }) + '\n',
+    );
+  };
+
+  // Module invalidation has no reporter event, so it is logged by wrapping
+  // the method the watcher calls for every changed or added file
+  const logInvalidations = (vitest: Vitest) => {
+    const invalidateFile = vitest.invalidateFile.bind(vitest);
+    vitest.invalidateFile = (filePath) => {
+      log('invalidateFile', {
+        file: toWorkspacePath(filePath),
+        projects: vitest.projects
+          .filter(({ vite }) => vite.moduleGraph.getModulesByFile(filePath))
+          .map(({ name }) => name),
+      });
+      invalidateFile(filePath);
+    };
+  };
+
+  return {
+    onInit(vitest) {
+      outputFile = resolve(
+        workspaceRoot,
+        'reports',
+        relative(workspaceRoot, vitest.config.root),
+        'vitest-events.ndjson',
+      );
+      mkdirSync(dirname(outputFile), { recursive: true });
+      log('onInit', {
+        pid: process.pid,
+        root: toWorkspacePath(vitest.config.root) || '.',
+        watch: vitest.config.watch,
+        projects: vitest.projects.map(({ name }) => name),
+      });
+      logInvalidations(vitest);
+      vitest.onCancel((reason) => log('onCancel', { reason }));
+    },
+    onBrowserInit(project) {
+      log('onBrowserInit', { project: project.name });
+    },
+    onPathsCollected(paths = []) {
+      log('onPathsCollected', { paths: paths.map(toWorkspacePath) });
+    },
+    onSpecsCollected(specifications = []) {
+      log('onSpecsCollected', {
+        specifications: specifications.map(([project, file, options]) => ({
+          module: toWorkspacePath(file),
+          project: project.name,
+          testLines: options.testLines,
+        })),
+      });
+    },
+    onCollected(files) {
+      log('onCollected', {
+        files: files.map((file) => ({
+          id: file.id,
+          module: toWorkspacePath(file.filepath),
+          project: file.projectName,
+          state: file.result?.state,
+        })),
+      });
+    },
+    onTaskUpdate(packs, events) {
+      log('onTaskUpdate', {
+        results: packs.map(([id, result]) => ({
+          id,
+          state: result?.state,
+          duration: result?.duration,
+        })),
+        events: events.map(([id, event]) => ({ id, event })),
+      });
+    },
+    onTestRemoved(trigger) {
+      log('onTestRemoved', { trigger: trigger && toWorkspacePath(trigger) });
+    },
+    onWatcherStart(files = [], errors = []) {
+      log('onWatcherStart', { files: files.length, errors: errors.length });
+    },
+    onWatcherRerun(files, trigger) {
+      log('onWatcherRerun', {
+        files: files.map(toWorkspacePath),
+        trigger: trigger && toWorkspacePath(trigger),
+      });
+    },
+    onServerRestart(reason) {
+      log('onServerRestart', { reason });
+    },
+    onUserConsoleLog(consoleLog) {
+      log('onUserConsoleLog', {
+        taskId: consoleLog.taskId,
+        type: consoleLog.type,
+        length: consoleLog.content.length,
+      });
+    },
+    onProcessTimeout() {
+      log('onProcessTimeout');
+    },
+    onTestRunStart(specifications) {
+      log('onTestRunStart', {
+        specifications: specifications.map(describeSpecification),
+      });
+    },
+    onTestRunEnd(testModules, unhandledErrors, reason) {
+      log('onTestRunEnd', {
+        reason,
+        modules: testModules.map(describeModule),
+        errors: unhandledErrors.map((error) => error.message),
+      });
+    },
+    onTestModuleQueued(testModule) {
+      log('onTestModuleQueued', describeModule(testModule));
+    },
+    onTestModuleCollected(testModule) {
+      log('onTestModuleCollected', {
+        ...describeModule(testModule),
+        tests: [...testModule.children.allTests()].map(({ id }) => id),
+      });
+    },
+    onTestModuleStart(testModule) {
+      log('onTestModuleStart', describeModule(testModule));
+    },
+    onTestModuleEnd(testModule) {
+      log('onTestModuleEnd', describeModule(testModule));
+    },
+    onTestSuiteReady(testSuite) {
+      log('onTestSuiteReady', describeSuite(testSuite));
+    },
+    onTestSuiteResult(testSuite) {
+      log('onTestSuiteResult', describeSuite(testSuite));
+    },
+    onTestCaseReady(testCase) {
+      log('onTestCaseReady', describeTest(testCase));
+    },
+    onTestCaseResult(testCase) {
+      log('onTestCaseResult', describeTest(testCase));
+    },
+    onTestCaseAnnotate(testCase, annotation) {
+      log('onTestCaseAnnotate', {
+        id: testCase.id,
+        type: annotation.type,
+        message: annotation.message,
+      });
+    },
+    onHookStart(hook) {
+      log('onHookStart', { name: hook.name, id: hook.entity.id });
+    },
+    onHookEnd(hook) {
+      log('onHookEnd', { name: hook.name, id: hook.entity.id });
+    },
+    onCoverage() {
+      log('onCoverage');
+    },
+    onFinished(files, errors) {
+      log('onFinished', {
+        files: files.map((file) => ({
+          id: file.id,
+          module: toWorkspacePath(file.filepath),
+          state: file.result?.state,
+        })),
+        errors: errors.length,
+      });
+    },
+  };
+};
@@ -0,0 +1,65 @@
+import { createProjectGraphAsync } from '@nx/devkit';
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import type { TestProjectInlineConfiguration } from 'vitest/config';
+
+export interface NxVitestProjectsOptions {
+  // Only projects with at least one of these tags
+  tags?: string[];
+  // No projects with any of these tags
+  excludeTags?: string[];
+  // Only projects in one of these folders, like 'calculators' or
+  // 'packages/common'
+  folders?: string[];
+  // No projects in any of these folders
+  excludeFolders?: string[];
+}
+
+// Config files @nx/vite:test looks for when its target sets no configFile
+const CONFIG_FILE_NAMES = ['vitest', 'vite'].flatMap((name) =>
+  ['ts', 'mts', 'js', 'mjs'].map((extension) => `${name}.config.${extension}`),
+);
+
+const workspaceRoot = __dirname;
+
+const isInFolder = (projectRoot: string, folders: string[]) =>
+  folders.some((folder) =>
+    `/${projectRoot}/`.includes(`/${folder.replace(/^\/+|\/+$/g, '')}/`),
+  );
+
+const hasTag = (projectTags: string[], tags: string[]) =>
+  tags.some((tag) => projectTags.includes(tag));
+
+// The Vitest projects of the Nx projects that have a test target, named
+// like the Nx projects so the Test Explorer tree matches `nx test <project>`
+export const createNxVitestProjects = async ({
+  tags = [],
+  excludeTags = [],
+  folders = [],
+  excludeFolders = [],
+}: NxVitestProjectsOptions = {}): Promise<TestProjectInlineConfiguration[]> => {
+  const graph = await createProjectGraphAsync({ exitOnError: false });
+
+  return Object.values(graph.nodes)
+    .filter(({ data: { root, tags: projectTags = [] } }) => {
+      return (
+        (tags.length === 0 || hasTag(projectTags, tags)) &&
+        !hasTag(projectTags, excludeTags) &&
+        (folders.length === 0 || isInFolder(root, folders)) &&
+        !isInFolder(root, excludeFolders)
+      );
+    })
+    .flatMap(({ name, data: { root, targets = {} } }) => {
+      const test = targets['test'];
+      const configFile =
+        test?.options?.configFile ??
+        CONFIG_FILE_NAMES.map((fileName) => join(root, fileName)).find(
+          (filePath) => existsSync(join(workspaceRoot, filePath)),
+        );
+      if (!test || !configFile) {
+        return [];
+      }
+      return [{ extends: configFile, root, test: { name } }];
+    })
+    .sort((a, b) => a.test.name.localeCompare(b.test.name));
+};
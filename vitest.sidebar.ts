@@ -1,6 +1,13 @@
+import { defineConfig } from 'vitest/config';
 import { createVitestConfig } from './vitest.base';
+import { createNxVitestProjects } from './vitest.projects';
 
-export default createVitestConfig({
-  // Testing sidebar specific overrides
-  projects: ['packages/*/*'],
-});
+export default defineConfig(async () =>
+  createVitestConfig({
+    // Testing sidebar specific overrides
+    projects: await createNxVitestProjects({
+      // Narrow the Test Explorer down, e.g. folders: ['calculators'] or
+      // excludeTags: ['npm:private']
+    }),
+  }),
+);